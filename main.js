@@ -1,23 +1,108 @@
-const { Plugin, PluginSettingTab, Setting, Notice } = require('obsidian');
+const { Plugin, PluginSettingTab, Setting, Notice, Modal, FuzzySuggestModal, ItemView, Menu, MarkdownView, TFolder, debounce, resolveSubpath, setIcon, editorInfoField, getAllTags } = require('obsidian');
+const { EditorView, ViewPlugin } = require('@codemirror/view');
+const { StateField, StateEffect, Annotation } = require('@codemirror/state');
+const { foldCode, unfoldCode } = require('@codemirror/language');
 
 // Constants and regular expressions
 const CONSTANTS = {
   // Regular expression to identify callout patterns in Markdown
-  CALLOUT_REGEX: /^>\s*\[!([\w-]+)\]([+-]?)\s*(.*)/,
+  // Groups: blockquote prefix (one or more `>`), type, metadata, fold marker,
+  // whitespace before the title, title, trailing whitespace
+  CALLOUT_REGEX: /^((?:[ \t]*>)+[ \t]*)\[!([\w-]+)(?:\|([^\]]*))?\]([+-]?)([ \t]*)(.*?)([ \t]*)$/,
   // Regular expression to identify callout continuation lines
   CONTINUATION_REGEX: /^>\s?(.*)/, 
+  // Regular expression matching the blockquote markers at the start of a line
+  BLOCKQUOTE_REGEX: /^(?:[ \t]*>)+/,
+  // Regular expression identifying code fence openers (marker, info string)
+  FENCE_REGEX: /^[ \t]{0,3}(`{3,}|~{3,})(.*)$/,
+  // Regular expression identifying ATX headings (hashes, text); `#tag` needs no space and is not one
+  HEADING_REGEX: /^[ ]{0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+  // Number of per-file callout indexes kept in memory
+  MAX_CACHED_INDEXES: 20,
+  // Delay in milliseconds before re-syncing re-rendered callouts
+  RESYNC_DELAY: 100,
+  // Number of visual fold snapshots kept for undo per leaf and note
+  MAX_FOLD_HISTORY: 50,
+  // Delay in milliseconds before the outline view and status bar follow editor changes
+  UI_REFRESH_DELAY: 300,
+  // View type of the callout outline sidebar
+  OUTLINE_VIEW_TYPE: 'callout-control-outline',
+  // Frontmatter property that turns accordion mode on or off for a note
+  ACCORDION_FRONTMATTER_KEY: 'callout-accordion',
+  // Delay in milliseconds before focus mode follows the cursor
+  FOCUS_DELAY: 250,
+  // Delay in milliseconds before looking for the target of a link once Obsidian has scrolled to it
+  REVEAL_DELAY: 150,
+  // A new default fold rule: no conditions, collapse visually. It starts turned off,
+  // since without conditions it would collapse every callout in every note.
+  DEFAULT_FOLD_RULE: {
+    enabled: false,
+    folder: '',
+    tag: '',
+    frontmatter: '',
+    types: '',
+    minLevel: 0,
+    titlePattern: '',
+    action: 'collapse',
+    modifyMarkdown: false
+  },
+  // Icons of the built-in callout types, shown in the outline
+  CALLOUT_ICONS: {
+    note: 'pencil',
+    abstract: 'clipboard-list', summary: 'clipboard-list', tldr: 'clipboard-list',
+    info: 'info',
+    todo: 'check-circle-2',
+    tip: 'flame', hint: 'flame', important: 'flame',
+    success: 'check', check: 'check', done: 'check',
+    question: 'help-circle', help: 'help-circle', faq: 'help-circle',
+    warning: 'alert-triangle', caution: 'alert-triangle', attention: 'alert-triangle',
+    failure: 'x', fail: 'x', missing: 'x',
+    danger: 'zap', error: 'zap',
+    bug: 'bug',
+    example: 'list',
+    quote: 'quote', cite: 'quote'
+  },
+  // Delimiter for display math blocks
+  MATH_DELIMITER: '$$',
+  // Opening and closing delimiters of comment blocks (HTML and Obsidian)
+  COMMENT_DELIMITERS: [['<!--', '-->'], ['%%', '%%']],
   // Scopes for callout operations
   SCOPES: {
     ALL: 'all',
     CURRENT: 'current',
-    SECTION: 'section'
+    SECTION: 'section',
+    SELECTION: 'selection',
+    TYPE: 'type',
+    SUBTREE: 'subtree',
+    PARENT: 'parent',
+    HEADING: 'heading',
+    VAULT: 'vault',
+    HISTORY: 'history',
+    SYNC: 'sync',
+    NAVIGATE: 'navigate',
+    DIAGNOSTICS: 'diagnostics'
   },
   // Modes for callout operations
   MODES: {
     TOGGLE: 'toggle',
     COLLAPSE: 'collapse',
     EXPAND: 'expand',
-    TOGGLE_INDIVIDUAL: 'toggle-individual'
+    TOGGLE_INDIVIDUAL: 'toggle-individual',
+    FOLD_TO_LEVEL: 'fold-to-level',
+    UNDO: 'undo',
+    REDO: 'redo',
+    COMMIT: 'commit',
+    DISCARD: 'discard',
+    NEXT: 'next',
+    PREVIOUS: 'previous',
+    NEXT_COLLAPSED: 'next-collapsed',
+    PREVIOUS_COLLAPSED: 'previous-collapsed',
+    NEXT_SAME_TYPE: 'next-same-type',
+    PARENT: 'parent',
+    CHILD: 'child',
+    OUTLINE: 'outline',
+    FOCUS: 'focus',
+    STATS: 'stats'
   }
 };
 
@@ -36,8 +121,10 @@ class Callout {
   * @param {number} endLine - Line where the callout ends
   * @param {Array<Callout>} nestedCallouts - Child callouts inside this one
   * @param {string} rawLine - Original Markdown line that started the callout
+  * @param {number} depth - Blockquote depth of the callout header (1 for `> [!type]`)
+  * @param {string} metadata - Text after `|` in the header (`[!type|metadata]`)
   */
-  constructor(type, title, isCollapsed, content, startLine, endLine, nestedCallouts = [], rawLine = '') {
+  constructor(type, title, isCollapsed, content, startLine, endLine, nestedCallouts = [], rawLine = '', depth = 1, metadata = '') {
     this.type = type;
     this.title = title;
     this.isCollapsed = isCollapsed;
@@ -46,6 +133,9 @@ class Callout {
     this.endLine = endLine;
     this.nestedCallouts = nestedCallouts;
     this.rawLine = rawLine;
+    this.depth = depth;
+    this.metadata = metadata;
+    this.level = 1; // Nesting level in the callout tree, set by the parser
   }
   
   /**
@@ -88,6 +178,18 @@ class Callout {
     );
   }
   
+  /**
+  * Move this callout and its nested callouts by a number of lines
+  * 
+  * @param {number} delta - Number of lines to move by
+  */
+  shiftLines(delta) {
+    if (!delta) return;
+    this.startLine += delta;
+    this.endLine += delta;
+    this.nestedCallouts.forEach(nested => nested.shiftLines(delta));
+  }
+  
   /**
   * Create a new callout from markdown line match results
   * 
@@ -96,10 +198,11 @@ class Callout {
   * @returns {Callout} A new callout instance
   */
   static fromMatch(match, startLineIndex) {
-    const type = match[1];
-    const collapseState = match[2] || '';
-    const title = match[3].trim();
-    const isCollapsed = collapseState === '-';
+    const header = CalloutHeader.fromMatch(match);
+    const type = header.type;
+    const title = header.title.trim();
+    const isCollapsed = header.foldMarker === '-';
+    const depth = header.getDepth();
     
     return new Callout(
       type,
@@ -109,21 +212,119 @@ class Callout {
       startLineIndex,
       startLineIndex,  // endLine will be updated during processing
       [],  // nestedCallouts will be added during processing
-      match.input  // original raw line
+      match.input,  // original raw line
+      depth,
+      header.metadata || ''
     );
   }
   
   /**
   * Update this callout's collapse state
+  * Only the fold marker changes; prefix, metadata, spacing and title are kept as-is
   * 
   * @param {boolean} newState - The new collapse state
   * @returns {string} The updated markdown line
   */
   updateCollapseState(newState) {
-    return this.rawLine.replace(
-      CONSTANTS.CALLOUT_REGEX,
-      (_, type, collapse, title) => `> [!${type}]${newState ? '-' : '+'} ${title}`
-    );
+    const header = CalloutHeader.parse(this.rawLine);
+    if (!header) return this.rawLine;
+    return header.withFoldMarker(newState ? '-' : '+').toString();
+  }
+  
+  /**
+  * Get this callout followed by all of its nested callouts, in document order
+  * 
+  * @returns {Array<Callout>} This callout and its descendants
+  */
+  flatten() {
+    return [this, ...this.nestedCallouts.flatMap(nested => nested.flatten())];
+  }
+}
+
+/**
+* CalloutHeader is a lossless model of a callout's first line.
+* Every part of the line is recorded so it can be rebuilt exactly,
+* with only the parts that were deliberately changed being different.
+*/
+class CalloutHeader {
+  /**
+  * Creates a new callout header
+  * 
+  * @param {Object} parts - The parts of the header line
+  * @param {string} parts.prefix - Blockquote markers and whitespace before `[!`
+  * @param {string} parts.type - The callout type
+  * @param {string|null} parts.metadata - Text after `|` inside the brackets, or null if absent
+  * @param {string} parts.foldMarker - `+`, `-` or an empty string
+  * @param {string} parts.separator - Whitespace between the fold marker and the title
+  * @param {string} parts.title - The callout title
+  * @param {string} parts.trailing - Trailing whitespace
+  */
+  constructor({ prefix, type, metadata = null, foldMarker = '', separator = '', title = '', trailing = '' }) {
+    this.prefix = prefix;
+    this.type = type;
+    this.metadata = metadata;
+    this.foldMarker = foldMarker;
+    this.separator = separator;
+    this.title = title;
+    this.trailing = trailing;
+  }
+  
+  /**
+  * Parse a header line
+  * 
+  * @param {string} line - The line to parse
+  * @returns {CalloutHeader|null} The parsed header or null if the line is not a callout header
+  */
+  static parse(line) {
+    const match = line.match(CONSTANTS.CALLOUT_REGEX);
+    return match ? CalloutHeader.fromMatch(match) : null;
+  }
+  
+  /**
+  * Create a header from CALLOUT_REGEX match results
+  * 
+  * @param {Array} match - The regex match results
+  * @returns {CalloutHeader} The header
+  */
+  static fromMatch(match) {
+    return new CalloutHeader({
+      prefix: match[1],
+      type: match[2],
+      metadata: match[3] === undefined ? null : match[3],
+      foldMarker: match[4],
+      separator: match[5],
+      title: match[6],
+      trailing: match[7]
+    });
+  }
+  
+  /**
+  * Get the blockquote depth of the header
+  * 
+  * @returns {number} The number of `>` markers in the prefix
+  */
+  getDepth() {
+    return CalloutParser.countQuoteMarkers(this.prefix);
+  }
+  
+  /**
+  * Create a copy of this header with a different fold marker
+  * 
+  * @param {string} foldMarker - `+`, `-` or an empty string
+  * @returns {CalloutHeader} The updated header
+  */
+  withFoldMarker(foldMarker) {
+    return new CalloutHeader({ ...this, foldMarker });
+  }
+  
+  /**
+  * Rebuild the Markdown line
+  * 
+  * @returns {string} The header line
+  */
+  toString() {
+    const metadata = this.metadata === null ? '' : `|${this.metadata}`;
+    return `${this.prefix}[!${this.type}${metadata}]${this.foldMarker}${this.separator}${this.title}${this.trailing}`;
   }
 }
 
@@ -136,16 +337,18 @@ class CalloutCommand {
   * 
   * @param {string} id - Command ID
   * @param {string} name - Display name for the command
-  * @param {string} scope - Scope of the command ('all', 'current', 'section')
+  * @param {string} scope - Scope of the command ('all', 'current', 'section', 'selection')
   * @param {string} mode - Mode of operation ('toggle', 'collapse', 'expand', 'toggle-individual')
   * @param {boolean} modifyMarkdown - Whether the command modifies the underlying Markdown
+  * @param {Object} options - Extra operation options, e.g. { types } to limit the callout types
   */
-  constructor(id, name, scope, mode, modifyMarkdown) {
+  constructor(id, name, scope, mode, modifyMarkdown, options = {}) {
     this.id = id;
     this.name = name;
     this.scope = scope;
     this.mode = mode;
     this.modifyMarkdown = modifyMarkdown;
+    this.options = options;
   }
   
   /**
@@ -154,7 +357,160 @@ class CalloutCommand {
   * @param {Function} operationHandler - Function to execute the operation
   */
   execute(operationHandler) {
-    operationHandler(this.scope, this.mode, this.modifyMarkdown);
+    operationHandler(this.scope, this.mode, this.modifyMarkdown, this.options);
+  }
+}
+
+/**
+* BlockContextScanner finds the regions of a document where Markdown syntax
+* is not interpreted: fenced code blocks, `$$` math blocks and HTML / Obsidian
+* comments. Callout headers and headings inside these regions are ignored.
+*/
+class BlockContextScanner {
+  /**
+  * Scan document lines and mark the ones inside a literal block
+  * 
+  * @param {Array<string>} lines - All document lines
+  * @returns {Array<boolean>} True for every line inside (or delimiting) a literal block
+  */
+  scan(lines) {
+    return this.scanStates(lines).ignored;
+  }
+  
+  /**
+  * Scan document lines, also recording the open block after each line
+  * so that a later scan can resume from any point
+  * 
+  * @param {Array<string>} lines - All document lines
+  * @returns {Object} The ignored-line mask and the block state after each line
+  */
+  scanStates(lines) {
+    const ignored = [];
+    const states = [];
+    let state = null;
+    
+    for (const line of lines) {
+      const result = this.step(state, line);
+      ignored.push(result.ignored);
+      states.push(result.state);
+      state = result.state;
+    }
+    
+    return { ignored, states };
+  }
+  
+  /**
+  * Advance the scanner by one line
+  * 
+  * @param {Object|null} block - The block open before this line, or null
+  * @param {string} line - The line to scan
+  * @returns {Object} Whether the line is ignored and the block open after it
+  */
+  step(block, line) {
+    const quoteMatch = line.match(CONSTANTS.BLOCKQUOTE_REGEX);
+    const depth = quoteMatch ? CalloutParser.countQuoteMarkers(quoteMatch[0]) : 0;
+    const text = quoteMatch ? line.slice(quoteMatch[0].length).replace(/^[ \t]/, '') : line;
+    
+    // A block opened inside a blockquote ends with the blockquote
+    if (block && block.kind !== 'comment' && depth < block.depth) {
+      block = null;
+    }
+    
+    if (block) {
+      return { ignored: true, state: this.closesBlock(block, text) ? null : block };
+    }
+    
+    const opened = this.opensBlock(text, depth);
+    const ignored = !!opened && (opened.kind !== 'comment' || text.trim().startsWith(opened.open));
+    return { ignored, state: opened };
+  }
+  
+  /**
+  * Check whether two scanner states describe the same open block
+  * 
+  * @param {Object|null} a - First state
+  * @param {Object|null} b - Second state
+  * @returns {boolean} True if the states are equivalent
+  */
+  static sameState(a, b) {
+    if (!a || !b) return a === b;
+    return a.kind === b.kind && 
+      a.depth === b.depth && 
+      a.marker === b.marker && 
+      a.close === b.close;
+  }
+  
+  /**
+  * Check whether a line opens a literal block that continues past it
+  * 
+  * @param {string} text - Line text without blockquote prefix
+  * @param {number} depth - Blockquote depth of the line
+  * @returns {Object|null} Description of the opened block or null
+  */
+  opensBlock(text, depth) {
+    const fence = text.match(CONSTANTS.FENCE_REGEX);
+    if (fence) {
+      // Backtick fences cannot have backticks in their info string
+      if (fence[1][0] === '`' && fence[2].includes('`')) return null;
+      return { kind: 'code', depth, marker: fence[1] };
+    }
+    
+    const trimmed = text.trim();
+    if (trimmed.startsWith(CONSTANTS.MATH_DELIMITER)) {
+      const rest = trimmed.slice(CONSTANTS.MATH_DELIMITER.length);
+      if (rest.includes(CONSTANTS.MATH_DELIMITER)) return null; // Single-line block
+      return { kind: 'math', depth };
+    }
+    
+    // Comment markers inside inline code are literal text
+    const prose = BlockContextScanner.maskInlineCode(text);
+    for (const [open, close] of CONSTANTS.COMMENT_DELIMITERS) {
+      const start = prose.indexOf(open);
+      if (start === -1) continue;
+      if (prose.indexOf(close, start + open.length) !== -1) continue; // Closed on the same line
+      return { kind: 'comment', depth, open, close };
+    }
+    
+    return null;
+  }
+  
+  /**
+  * Blank out inline code spans, keeping the line length so positions still match
+  * 
+  * @param {string} text - Line text
+  * @returns {string} The text with every code span replaced by spaces
+  */
+  static maskInlineCode(text) {
+    if (!text.includes('`')) return text;
+    // A span closes with a backtick run of the same length as the one that opened it
+    return text.replace(/(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g, span => ' '.repeat(span.length));
+  }
+  
+  /**
+  * Check whether a line closes the currently open block
+  * 
+  * @param {Object} block - The open block
+  * @param {string} text - Line text without blockquote prefix
+  * @returns {boolean} True if the block ends on this line
+  */
+  closesBlock(block, text) {
+    switch (block.kind) {
+      case 'code': {
+        const trimmed = text.trim();
+        const closing = trimmed.match(/^(`{3,}|~{3,})$/);
+        return !!closing && 
+          closing[1][0] === block.marker[0] && 
+          closing[1].length >= block.marker.length;
+      }
+      case 'math':
+      return text.includes(CONSTANTS.MATH_DELIMITER);
+      
+      case 'comment':
+      return text.includes(block.close);
+      
+      default:
+      return true;
+    }
   }
 }
 
@@ -169,20 +525,63 @@ class CalloutParser {
   constructor() {
     this.CALLOUT_REGEX = CONSTANTS.CALLOUT_REGEX;
     this.CONTINUATION_REGEX = CONSTANTS.CONTINUATION_REGEX;
+    this.BLOCKQUOTE_REGEX = CONSTANTS.BLOCKQUOTE_REGEX;
+    this.HEADING_REGEX = CONSTANTS.HEADING_REGEX;
+    this.scanner = new BlockContextScanner();
+    // Literal block masks, cached per lines array
+    this.blockContextCache = new WeakMap();
+  }
+  
+  /**
+  * Check if a line sits inside a code fence, math block or comment
+  * 
+  * @param {Array<string>} lines - All document lines
+  * @param {number} lineIndex - The line index to check
+  * @returns {boolean} True if the line's Markdown is not interpreted
+  */
+  isInsideLiteralBlock(lines, lineIndex) {
+    let ignored = this.blockContextCache.get(lines);
+    if (!ignored) {
+      ignored = this.scanner.scan(lines);
+      this.blockContextCache.set(lines, ignored);
+    }
+    return ignored[lineIndex] === true;
+  }
+  
+  /**
+  * Count the `>` markers in a blockquote prefix
+  * 
+  * @param {string} prefix - The blockquote prefix
+  * @returns {number} The number of `>` markers
+  */
+  static countQuoteMarkers(prefix) {
+    return (prefix.match(/>/g) || []).length;
   }
   
   /**
   * Parse all callouts from a document
   * 
   * @param {string} content - The document content
-  * @returns {Array<Callout>} Array of detected callouts
+  * @returns {Array<Callout>} Array of top-level callouts with nested callouts attached
   */
   parseDocument(content) {
     const lines = content.split('\n');
+    return this.parseRange(lines, 0, lines.length - 1);
+  }
+  
+  /**
+  * Parse the callouts that start within a range of lines
+  * 
+  * @param {Array<string>} lines - All document lines
+  * @param {number} fromLine - First line to scan
+  * @param {number} toLine - Last line to scan
+  * @returns {Array<Callout>} Array of top-level callouts with nested callouts attached
+  */
+  parseRange(lines, fromLine, toLine) {
     const callouts = [];
     
-    for (let i = 0; i < lines.length; i++) {
-      if (this.isCalloutStartLine(lines[i])) {
+    for (let i = fromLine; i <= toLine; i++) {
+      if (this.isCalloutStartAt(lines, i)) {
         const callout = this.parseCallout(lines, i);
         if (callout) {
           callouts.push(callout);
@@ -194,6 +593,27 @@ class CalloutParser {
     return callouts;
   }
   
+  /**
+  * Flatten a callout tree into a list in document order
+  * 
+  * @param {Array<Callout>} callouts - Top-level callouts
+  * @returns {Array<Callout>} All callouts including nested ones
+  */
+  flattenCallouts(callouts) {
+    return callouts.flatMap(callout => callout.flatten());
+  }
+  
+  /**
+  * Get the blockquote depth of a line
+  * 
+  * @param {string} line - The line to check
+  * @returns {number} Number of `>` markers at the start of the line (0 if none)
+  */
+  getQuoteDepth(line) {
+    const match = line.match(this.BLOCKQUOTE_REGEX);
+    return match ? CalloutParser.countQuoteMarkers(match[0]) : 0;
+  }
+  
   /**
   * Check if a line starts a callout
   * 
@@ -204,15 +624,34 @@ class CalloutParser {
     return this.CALLOUT_REGEX.test(line);
   }
   
+  /**
+  * Check if the line at the given index opens a callout.
+  * A `[!type]` header only counts as a callout when it is the first line of
+  * its blockquote level, i.e. the previous line is shallower, and it is not
+  * part of a code fence, math block or comment.
+  * 
+  * @param {Array<string>} lines - All document lines
+  * @param {number} lineIndex - The line index to check
+  * @returns {boolean} True if a callout starts on this line
+  */
+  isCalloutStartAt(lines, lineIndex) {
+    const match = lines[lineIndex].match(this.CALLOUT_REGEX);
+    if (!match || this.isInsideLiteralBlock(lines, lineIndex)) return false;
+    if (lineIndex === 0) return true;
+    
+    const depth = CalloutParser.countQuoteMarkers(match[1]);
+    return this.getQuoteDepth(lines[lineIndex - 1]) < depth;
+  }
+  
   /**
   * Check if a line continues a callout
   * 
   * @param {string} line - The line to check
+  * @param {number} depth - Blockquote depth of the callout
   * @returns {boolean} True if this is a callout continuation line
   */
-  isCalloutContinuationLine(line) {
-    const trimmed = line.trim();
-    return trimmed.startsWith('>') && !this.isCalloutStartLine(line);
+  isCalloutContinuationLine(line, depth = 1) {
+    return this.getQuoteDepth(line) >= depth;
   }
   
   /**
@@ -220,9 +659,10 @@ class CalloutParser {
   * 
   * @param {Array<string>} lines - All document lines
   * @param {number} startLineIndex - The starting line index
+  * @param {number} level - Nesting level of the callout (1 for top-level callouts)
   * @returns {Callout|null} The parsed callout or null
   */
-  parseCallout(lines, startLineIndex) {
+  parseCallout(lines, startLineIndex, level = 1) {
     const startLine = lines[startLineIndex];
     const match = startLine.match(this.CALLOUT_REGEX);
     
@@ -230,16 +670,19 @@ class CalloutParser {
     
     // Create a new callout from the match
     const callout = Callout.fromMatch(match, startLineIndex);
+    callout.level = level;
     
     // Extract content lines
     const { contentLines, endLine, nestedCallouts } = this.extractContent(
       lines, 
-      startLineIndex + 1
+      startLineIndex + 1,
+      callout.depth,
+      level
     );
     
     // Update callout with extracted data
     callout.endLine = endLine;
-    callout.content = this.formatContent(contentLines);
+    callout.content = this.formatContent(contentLines, callout.depth);
     callout.nestedCallouts = nestedCallouts;
     
     return callout;
@@ -247,51 +690,27 @@ class CalloutParser {
   
   /**
   * Extract content and nested callouts
+  * The callout continues for as long as lines stay at or below its blockquote depth
   * 
   * @param {Array<string>} lines - All document lines
   * @param {number} startLine - The starting line for content
+  * @param {number} depth - Blockquote depth of the callout header
+  * @param {number} level - Nesting level of the callout
   * @returns {Object} The extracted content and metadata
   */
-  extractContent(lines, startLine) {
+  extractContent(lines, startLine, depth = 1, level = 1) {
     const contentLines = [];
     let currentLine = startLine;
-    let endLine = startLine - 1;
-    let nesting = 0;
-    
-    // Process lines until the end of this callout
-    while (currentLine < lines.length) {
-      const line = lines[currentLine];
-      
-      if (this.isCalloutStartLine(line)) {
-        nesting++;
-        contentLines.push(line);
-      } 
-      else if (this.isCalloutContinuationLine(line)) {
-        contentLines.push(line);
-      }
-      else {
-        if (nesting > 0) {
-          nesting--;
-          contentLines.push(line);
-        } else {
-          endLine = currentLine - 1;
-          break;
-        }
-      }
-      
+    
+    while (currentLine < lines.length && this.isCalloutContinuationLine(lines[currentLine], depth)) {
+      contentLines.push(lines[currentLine]);
       currentLine++;
     }
     
-    // Handle case where callout extends to end of document
-    if (currentLine >= lines.length) {
-      endLine = lines.length - 1;
-    }
+    const endLine = currentLine - 1;
     
     // Parse nested callouts
-    const nestedCallouts = this.parseNestedCallouts(
-      contentLines, 
-      startLine - 1
-    );
+    const nestedCallouts = this.parseNestedCallouts(lines, startLine, endLine, depth, level);
     
     return {
       contentLines,
@@ -301,33 +720,25 @@ class CalloutParser {
   }
   
   /**
-  * Parse nested callouts from content lines
+  * Parse nested callouts from a parent callout's body
   * 
-  * @param {Array<string>} contentLines - Content lines to parse
-  * @param {number} parentStartLine - Starting line of parent callout
-  * @returns {Array<Callout>} Nested callouts
+  * @param {Array<string>} lines - All document lines
+  * @param {number} fromLine - First body line of the parent callout
+  * @param {number} toLine - Last body line of the parent callout
+  * @param {number} parentDepth - Blockquote depth of the parent callout
+  * @param {number} parentLevel - Nesting level of the parent callout
+  * @returns {Array<Callout>} Direct children of the parent callout
   */
-  parseNestedCallouts(contentLines, parentStartLine) {
+  parseNestedCallouts(lines, fromLine, toLine, parentDepth, parentLevel = 1) {
     const nestedCallouts = [];
-    let nestedStartLine = 0;
     
-    while (nestedStartLine < contentLines.length) {
-      if (this.isCalloutStartLine(contentLines[nestedStartLine])) {
-        const nestedLines = contentLines.slice(nestedStartLine);
-        const nested = this.parseCallout(nestedLines, 0);
-        
-        if (nested) {
-          // Adjust line numbers to be relative to the document
-          nested.startLine += parentStartLine + 1 + nestedStartLine;
-          nested.endLine += parentStartLine + 1 + nestedStartLine;
-          
-          nestedCallouts.push(nested);
-          nestedStartLine += nested.endLine - nested.startLine + 1;
-        } else {
-          nestedStartLine++;
-        }
-      } else {
-        nestedStartLine++;
+    for (let i = fromLine; i <= toLine; i++) {
+      if (!this.isCalloutStartAt(lines, i)) continue;
+      
+      const nested = this.parseCallout(lines, i, parentLevel + 1);
+      if (nested && nested.depth > parentDepth) {
+        nestedCallouts.push(nested);
+        i = nested.endLine;
       }
     }
     
@@ -335,18 +746,50 @@ class CalloutParser {
   }
   
   /**
-  * Format content by removing callout prefix
+  * Format content by removing the callout's blockquote prefix
   * 
   * @param {Array<string>} contentLines - The raw content lines
+  * @param {number} depth - Number of `>` markers to strip from each line
   * @returns {string} Formatted content
   */
-  formatContent(contentLines) {
+  formatContent(contentLines, depth = 1) {
     return contentLines.map(line => {
-      const match = line.match(this.CONTINUATION_REGEX);
-      return match ? match[1] : line;
+      let stripped = line;
+      for (let level = 0; level < depth; level++) {
+        const match = stripped.match(this.CONTINUATION_REGEX);
+        if (!match) break;
+        stripped = match[1];
+      }
+      return stripped;
     }).join('\n');
   }
   
+  /**
+  * Compute a fingerprint for every callout that stays stable when
+  * unrelated parts of the document change. It combines the nesting path,
+  * type and title, plus a counter for callouts that would otherwise collide.
+  * 
+  * @param {Array<Callout>} callouts - Top-level callouts
+  * @returns {Map<Callout, string>} Fingerprint of each callout, nested ones included
+  */
+  getFingerprints(callouts) {
+    const fingerprints = new Map();
+    const occurrences = new Map();
+    
+    const visit = (callout, parentFingerprint) => {
+      const key = `${parentFingerprint}/${callout.type}:${callout.title}`;
+      const occurrence = occurrences.get(key) || 0;
+      occurrences.set(key, occurrence + 1);
+      
+      const fingerprint = `${key}#${occurrence}`;
+      fingerprints.set(callout, fingerprint);
+      callout.nestedCallouts.forEach(nested => visit(nested, fingerprint));
+    };
+    
+    callouts.forEach(callout => visit(callout, ''));
+    return fingerprints;
+  }
+  
   /**
   * Find the callout containing the given line
   * 
@@ -376,1640 +819,5576 @@ class CalloutParser {
     
     if (!callouts.length) return null;
     
-    // Sort by distance to line
-    return callouts.sort((a, b) => {
+    // Sort a copy by distance to line, the callout list may be shared
+    return [...callouts].sort((a, b) => {
       return a.distanceToLine(lineNumber) - b.distanceToLine(lineNumber);
     })[0];
   }
   
   /**
-  * Get all callouts within the current section (between headings)
+  * Get the level of the heading on a line
   * 
-  * @param {Array<Callout>} callouts - All callouts in the document
   * @param {Array<string>} lines - All document lines
-  * @param {number} cursorLine - The cursor line to start from
-  * @returns {Array<Callout>} Callouts in the current section
+  * @param {number} lineIndex - The line index to check
+  * @returns {number} Heading level 1-6, or 0 if the line is not a heading
   */
-  getCalloutsInSection(callouts, lines, cursorLine) {
-    // Find section boundaries
-    let sectionStart = cursorLine;
-    while (sectionStart >= 0 && !lines[sectionStart].startsWith('#')) {
-      sectionStart--;
-    }
-    
-    let sectionEnd = cursorLine;
-    while (sectionEnd < lines.length && !lines[sectionEnd].startsWith('#')) {
-      sectionEnd++;
-    }
-    
-    // Adjust boundaries
-    if (sectionStart < 0) sectionStart = 0;
-    if (sectionEnd >= lines.length) sectionEnd = lines.length - 1;
-    
-    // Filter callouts in this section
-    return callouts.filter(callout => 
-      callout.startLine >= sectionStart && 
-      callout.endLine <= sectionEnd
-    );
-  }
-}
-
-/**
-* Factory function to create a CalloutOperation that encapsulates
-* the logic for determining the new state of callouts
-*/
-function createCalloutOperation(mode, callouts) {
-  // Return a function that determines the new state for each callout
-  switch (mode) {
-    case CONSTANTS.MODES.COLLAPSE:
-    return () => true; // Always collapse
-    
-    case CONSTANTS.MODES.EXPAND:
-    return () => false; // Always expand
-    
-    case CONSTANTS.MODES.TOGGLE_INDIVIDUAL:
-    return (callout) => !callout.isCollapsed; // Flip each callout
-    
-    case CONSTANTS.MODES.TOGGLE:
-    default:
-    // Count current collapse states to determine majority
-    const collapsedCount = callouts.filter(c => c.isCollapsed).length;
-    const shouldCollapse = collapsedCount < callouts.length / 2;
-    return () => shouldCollapse; // Toggle based on majority
+  getHeadingLevel(lines, lineIndex) {
+    const match = lines[lineIndex].match(this.HEADING_REGEX);
+    if (!match || this.isInsideLiteralBlock(lines, lineIndex)) return 0;
+    return match[1].length;
   }
-}
-
-/**
-* CalloutMarkdownService - Improved version
-* This class handles the Markdown parsing and manipulation
-*/
-class CalloutMarkdownService {
+  
   /**
-  * Creates a new callout markdown service
+  * Check if a line is a heading that bounds a section
   * 
-  * @param {Editor} editor - The Obsidian editor instance to work with
+  * @param {Array<string>} lines - All document lines
+  * @param {number} lineIndex - The line index to check
+  * @returns {boolean} True if the line is a heading outside literal blocks
   */
-  constructor(editor) {
-    this.editor = editor;
-    this.parser = new CalloutParser();
+  isSectionBoundary(lines, lineIndex) {
+    return this.getHeadingLevel(lines, lineIndex) > 0;
   }
   
   /**
-  * Detect all callouts in the document
+  * List the headings of a document
   * 
-  * @returns {Array<Callout>} Array of detected callouts
+  * @param {Array<string>} lines - All document lines
+  * @returns {Array<Object>} Array of { line, level, text } in document order
   */
-  detectAllCallouts() {
-    if (!this.editor) return [];
-    const content = this.editor.getValue();
-    return this.parser.parseDocument(content);
+  getHeadings(lines) {
+    const headings = [];
+    
+    lines.forEach((line, lineIndex) => {
+      const level = this.getHeadingLevel(lines, lineIndex);
+      if (level) {
+        headings.push({ line: lineIndex, level, text: line.match(this.HEADING_REGEX)[2] || '' });
+      }
+    });
+    
+    return headings;
   }
   
   /**
-  * Find the callout containing the given line
+  * Find the nearest heading at or above a line
   * 
-  * @param {number} lineNumber - The line number to check
-  * @returns {Callout|null} The callout containing this line or null
+  * @param {Array<string>} lines - All document lines
+  * @param {number} lineIndex - The line to search from
+  * @param {number} maxLevel - Only consider headings of this level or higher (fewer `#`)
+  * @returns {Object|null} The heading as { line, level }, or null if there is none
   */
-  findCalloutContainingLine(lineNumber) {
-    const allCallouts = this.detectAllCallouts();
-    return this.parser.findCalloutContainingLine(allCallouts, lineNumber);
+  findHeadingAbove(lines, lineIndex, maxLevel = 6) {
+    for (let i = Math.min(lineIndex, lines.length - 1); i >= 0; i--) {
+      const level = this.getHeadingLevel(lines, i);
+      if (level && level <= maxLevel) return { line: i, level };
+    }
+    return null;
   }
   
   /**
-  * Get the closest callout to the cursor position
+  * Find the boundaries of the section (between headings) around a line.
+  * A heading line belongs to the section it starts.
   * 
-  * @param {number} cursorLine - The current cursor line
-  * @returns {Callout|null} The closest callout or null
+  * @param {Array<string>} lines - All document lines
+  * @param {number} cursorLine - The line to start from
+  * @returns {Object} The first and last line of the section
   */
-  getClosestCalloutToCursor(cursorLine) {
-    const allCallouts = this.detectAllCallouts();
-    return this.parser.findClosestCallout(allCallouts, cursorLine);
+  getSectionBounds(lines, cursorLine) {
+    const heading = this.findHeadingAbove(lines, cursorLine);
+    const sectionStart = heading ? heading.line : 0;
+    
+    let sectionEnd = sectionStart + 1;
+    while (sectionEnd < lines.length && !this.isSectionBoundary(lines, sectionEnd)) {
+      sectionEnd++;
+    }
+    
+    return { sectionStart, sectionEnd: Math.min(sectionEnd, lines.length) - 1 };
   }
   
   /**
-  * Find a callout above the cursor
+  * Find the boundaries of a heading together with all of its subheadings,
+  * i.e. up to the next heading of the same or a higher level
   * 
-  * @param {number} cursorLine - The current cursor line
-  * @returns {Callout|null} The callout above the cursor or null
+  * @param {Array<string>} lines - All document lines
+  * @param {Object|null} heading - The heading as { line, level }; null means the whole document
+  * @returns {Object} The first and last line of the heading's subtree
   */
-  findCalloutAboveCursor(cursorLine) {
-    if (!this.editor) return null;
-    const content = this.editor.getValue();
-    const lines = content.split('\n');
+  getSubtreeBounds(lines, heading) {
+    if (!heading) return { sectionStart: 0, sectionEnd: lines.length - 1 };
     
-    // Scan upward from cursor
-    for (let lineIndex = cursorLine; lineIndex >= 0; lineIndex--) {
-      if (this.parser.isCalloutStartLine(lines[lineIndex])) {
-        return this.parser.parseCallout(lines, lineIndex);
-      }
+    let sectionEnd = heading.line + 1;
+    while (sectionEnd < lines.length) {
+      const level = this.getHeadingLevel(lines, sectionEnd);
+      if (level && level <= heading.level) break;
+      sectionEnd++;
     }
     
-    return null;
+    return { sectionStart: heading.line, sectionEnd: sectionEnd - 1 };
   }
   
   /**
-  * Get all callouts in the current section
+  * Find the boundaries of the heading around a line and all of its subheadings
   * 
-  * @param {number} cursorLine - The cursor line
-  * @returns {Array<Callout>} Callouts in the current section
+  * @param {Array<string>} lines - All document lines
+  * @param {number} cursorLine - The line to start from
+  * @returns {Object} The first and last line of the subtree
   */
-  getCalloutsInCurrentSection(cursorLine) {
-    if (!this.editor) return [];
-    
-    const allCallouts = this.detectAllCallouts();
-    const lines = this.editor.getValue().split('\n');
-    
-    return this.parser.getCalloutsInSection(allCallouts, lines, cursorLine);
+  getHeadingSubtreeBounds(lines, cursorLine) {
+    return this.getSubtreeBounds(lines, this.findHeadingAbove(lines, cursorLine));
   }
   
   /**
-  * Update a callout's collapse state in the document
+  * Find the boundaries of the parent section of the heading around a line,
+  * i.e. the subtree of the nearest heading above it with a higher level.
+  * Without a parent heading the parent section is the whole document.
   * 
-  * @param {Callout} callout - The callout to update
-  * @param {boolean} newState - The new collapse state
-  * @returns {boolean} True if update was successful
+  * @param {Array<string>} lines - All document lines
+  * @param {number} cursorLine - The line to start from
+  * @returns {Object} The first and last line of the parent section
   */
-  updateCalloutCollapseState(callout, newState) {
-    if (!this.editor || callout.startLine === undefined) return false;
-    
-    // Get the updated line from the callout
-    const updatedLine = callout.updateCollapseState(newState);
-    
-    // Get the original line for comparison
-    const lines = this.editor.getValue().split('\n');
-    const originalLine = lines[callout.startLine];
-    
-    // Only update if the line has changed
-    if (updatedLine !== originalLine) {
-      this.editor.replaceRange(
-        updatedLine,
-        { line: callout.startLine, ch: 0 },
-        { line: callout.startLine, ch: originalLine.length }
-      );
-      return true;
-    }
+  getParentSectionBounds(lines, cursorLine) {
+    const heading = this.findHeadingAbove(lines, cursorLine);
+    const parent = heading && heading.level > 1 ?
+    this.findHeadingAbove(lines, heading.line - 1, heading.level - 1) :
+    null;
     
-    return false;
+    return this.getSubtreeBounds(lines, parent);
   }
-}
-
-/**
-* DOMCalloutService - Improved version
-* This class handles the DOM manipulation for callouts
-*/
-class DOMCalloutService {
+  
   /**
-  * Creates a new DOM callout service
+  * Get the callouts that lie completely within a range of lines
   * 
-  * @param {HTMLElement} root - The root DOM element containing callouts
+  * @param {Array<Callout>} callouts - All callouts in the document
+  * @param {Object} bounds - The range as { sectionStart, sectionEnd }
+  * @returns {Array<Callout>} Callouts within the range
   */
-  constructor(root) {
-    this.root = root;
+  getCalloutsInBounds(callouts, { sectionStart, sectionEnd }) {
+    return callouts.filter(callout => 
+      callout.startLine >= sectionStart && 
+      callout.endLine <= sectionEnd
+    );
   }
   
   /**
-  * Get all callout DOM elements in the document
+  * Get all callouts within the current section (between headings)
   * 
-  * @returns {Array<HTMLElement>} Array of callout DOM elements
+  * @param {Array<Callout>} callouts - All callouts in the document
+  * @param {Array<string>} lines - All document lines
+  * @param {number} cursorLine - The cursor line to start from
+  * @returns {Array<Callout>} Callouts in the current section
   */
-  getAllCalloutElements() {
-    if (!this.root) return [];
-    return Array.from(this.root.querySelectorAll('.callout'));
+  getCalloutsInSection(callouts, lines, cursorLine) {
+    return this.getCalloutsInBounds(callouts, this.getSectionBounds(lines, cursorLine));
   }
-  
+}
+
+/**
+* CalloutIndex keeps the parsed callouts of one document and updates them
+* incrementally from changed line ranges instead of re-parsing the whole text.
+*/
+class CalloutIndex {
   /**
-  * Disambiguate between multiple possible callout matches
+  * Create a new index for a document
   * 
-  * @param {Array<Callout>} possibleMatches - Potential matching callouts
-  * @param {string} content - The DOM element's content
-  * @param {HTMLElement} element - The DOM element
-  * @returns {Callout|null} The best matching callout or null
+  * @param {CalloutParser} parser - Parser shared by all indexes
+  * @param {string} content - The document content
   */
-  disambiguateCallouts(possibleMatches, content, element) {
-    // Strategy 1: Content similarity
-    const contentMatches = possibleMatches.map(callout => {
-      // Calculate similarity between callout content and DOM content
-      const similarity = this.calculateSimilarity(callout.content, content);
-      return { callout, similarity };
-    });
-    
-    // Sort by similarity (highest first)
-    contentMatches.sort((a, b) => b.similarity - a.similarity);
-    
-    // If we have a clear winner (significantly more similar than others)
-    if (contentMatches.length > 1 && 
-      contentMatches[0].similarity > contentMatches[1].similarity * 1.5) {
-        return contentMatches[0].callout;
-      }
-      
-      // Strategy 2: Position in the document
-      // Try to estimate position based on the element's position in the DOM
-      const allElements = this.getAllCalloutElements();
-      const elementIndex = allElements.indexOf(element);
-      
-      if (elementIndex !== -1) {
-        // Sort possible matches by line number
-        const sortedByLine = [...possibleMatches].sort((a, b) => 
-          a.startLine - b.startLine
-      );
-      
-      // Assume callouts appear in roughly the same order in DOM and markdown
-      // So the nth element might correspond to the nth callout by line number
-      const relativeIndex = Math.min(elementIndex, sortedByLine.length - 1);
-      return sortedByLine[relativeIndex];
-    }
-    
-    // If all else fails, return the first match
-    return possibleMatches[0];
+  constructor(parser, content) {
+    this.parser = parser;
+    this.scanner = parser.scanner;
+    // CodeMirror document this index was last synced with
+    this.doc = null;
+    // Counters of parse work, for measuring the cost of keeping the index current
+    this.stats = {
+      fullParses: 0,
+      incrementalUpdates: 0,
+      linesParsed: 0,
+      incrementalLinesParsed: 0
+    };
+    this.rebuild(content);
   }
   
   /**
-  * Calculate similarity between two strings
-  * Using Levenshtein distance for fuzzy matching
+  * Re-parse the whole document
   * 
-  * @param {string} str1 - First string
-  * @param {string} str2 - Second string
-  * @returns {number} Similarity score (0-1)
+  * @param {string} content - The document content
   */
-  calculateSimilarity(str1, str2) {
-    // For very long strings, just use the beginning portion
-    const maxLength = 50;
-    const s1 = str1.substring(0, maxLength).toLowerCase();
-    const s2 = str2.substring(0, maxLength).toLowerCase();
+  rebuild(content) {
+    this.lines = content.split('\n');
     
-    // Simple matching - count the same characters in the same positions
-    let matches = 0;
-    const len = Math.min(s1.length, s2.length);
+    const { ignored, states } = this.scanner.scanStates(this.lines);
+    this.ignored = ignored;
+    this.states = states;
     
-    for (let i = 0; i < len; i++) {
-      if (s1[i] === s2[i]) {
-        matches++;
-      }
-    }
+    // Share the literal block mask with the parser, it is kept current in place
+    this.parser.blockContextCache.set(this.lines, this.ignored);
+    
+    this.callouts = this.parser.parseRange(this.lines, 0, this.lines.length - 1);
     
-    return matches / Math.max(s1.length, s2.length);
+    this.stats.fullParses++;
+    this.stats.linesParsed += this.lines.length;
   }
   
   /**
-  * We're replacing the levenshteinDistance method with this simpler version
-  * that doesn't create large matrices that might cause memory issues
+  * Check whether the index reflects the given CodeMirror document
+  * 
+  * @param {Text} doc - CodeMirror document
+  * @returns {boolean} True if the index content matches the document
   */
-  levenshteinDistance(str1, str2) {
-    // Just return a simple difference for now
-    return Math.abs(str1.length - str2.length);
+  isSyncedWith(doc) {
+    if (!doc || !this.doc) return false;
+    return this.doc === doc || this.doc.eq(doc);
   }
   
   /**
-  * Get callout based on visual proximity in the viewport
+  * Replace a range of lines and re-parse only the affected blockquotes
   * 
-  * @param {number} cursorLine - The cursor line
-  * @param {Array<HTMLElement>} elements - Callout DOM elements
-  * @returns {HTMLElement|null} The visually closest element
+  * @param {number} fromLine - First changed line (same in old and new document)
+  * @param {number} oldToLine - Last changed line in the old document
+  * @param {Array<string>} newLines - Text of the changed lines in the new document
   */
-  getCalloutByVisualProximity(cursorLine, elements) {
-    if (!elements.length) return null;
+  applyChange(fromLine, oldToLine, newLines) {
+    const removedCount = oldToLine - fromLine + 1;
+    const delta = newLines.length - removedCount;
+    const newToLine = fromLine + newLines.length - 1;
     
-    // Get the active editor view
-    const activeView = this.root?.closest('.markdown-source-view, .markdown-preview-view');
-    if (!activeView) return elements[0]; // Fallback to first element
+    this.lines.splice(fromLine, removedCount, ...newLines);
+    this.ignored.splice(fromLine, removedCount, ...newLines.map(() => false));
+    this.states.splice(fromLine, removedCount, ...newLines.map(() => null));
     
-    // Get cursor position in viewport coordinates
-    const cursorCoords = { top: 0, left: 0 };
+    // Opening or closing a code fence can change how every later line is read
+    const scanEnd = this.rescanLiteralBlocks(fromLine, newToLine);
     
-    // Try to get cursor element if available
-    const cursorElement = activeView.querySelector('.cm-cursor');
-    if (cursorElement) {
-      const rect = cursorElement.getBoundingClientRect();
-      cursorCoords.top = rect.top;
-      cursorCoords.left = rect.left;
-    } else {
-      // Estimate position based on line height and line number
-      const lineHeight = 24; // Approximate line height
-      cursorCoords.top = lineHeight * cursorLine;
+    // Callouts never cross a line outside a blockquote, so widen the range
+    // to the blockquotes around the change and re-parse just those lines
+    let start = fromLine;
+    while (start > 0 && this.parser.getQuoteDepth(this.lines[start - 1]) > 0) {
+      start--;
     }
     
-    // Find the closest element by visual distance
-    let closestElement = null;
-    let closestDistance = Infinity;
-    
-    elements.forEach(element => {
-      const rect = element.getBoundingClientRect();
-      const distance = Math.abs(rect.top - cursorCoords.top);
-      
-      if (distance < closestDistance) {
-        closestDistance = distance;
-        closestElement = element;
-      }
-    });
-    
-    return closestElement;
-  }
-  
-  /**
-  * Add data attributes to DOM elements for better correlation
-  * 
-  * @param {Array<Callout>} callouts - All callouts in the document
-  */
-  addDataAttributes(callouts) {
-    const elements = this.getAllCalloutElements();
-    
-    // Skip if no elements or callouts
-    if (!elements.length || !callouts.length) return;
+    let end = Math.max(newToLine, scanEnd);
+    while (end < this.lines.length - 1 && this.parser.getQuoteDepth(this.lines[end + 1]) > 0) {
+      end++;
+    }
     
-    // First pass: Try to match elements with callouts by order and add attributes
-    // This works when elements and callouts are in the same order
-    this.addDataAttributesByOrder(elements, callouts);
+    const oldEnd = end - delta;
+    const before = this.callouts.filter(callout => callout.startLine < start);
+    const after = this.callouts.filter(callout => callout.startLine > oldEnd);
+    after.forEach(callout => callout.shiftLines(delta));
     
-    // Second pass: For elements without attributes, try content matching
-    this.addDataAttributesByContent(elements, callouts);
+    this.callouts = [
+      ...before,
+      ...this.parser.parseRange(this.lines, start, end),
+      ...after
+    ];
     
-    // Third pass: Add unique identifiers to all elements
-    this.addUniqueIdentifiers(elements);
+    this.stats.incrementalUpdates++;
+    this.stats.linesParsed += end - start + 1;
+    this.stats.incrementalLinesParsed += end - start + 1;
   }
   
   /**
-  * Add data attributes based on document order
+  * Re-run the literal block scanner from a changed line until its state
+  * matches the previous scan again
   * 
-  * @param {Array<HTMLElement>} elements - Callout DOM elements
-  * @param {Array<Callout>} callouts - Callout objects
+  * @param {number} fromLine - First changed line
+  * @param {number} toLine - Last changed line
+  * @returns {number} The last line whose literal block state may have changed
   */
-  addDataAttributesByOrder(elements, callouts) {
-    // Try to match by document order first (simplest case)
-    const minLength = Math.min(elements.length, callouts.length);
+  rescanLiteralBlocks(fromLine, toLine) {
+    let state = fromLine > 0 ? this.states[fromLine - 1] : null;
     
-    for (let i = 0; i < minLength; i++) {
-      const element = elements[i];
-      const callout = callouts[i];
-      
-      // Skip elements that already have data attributes
-      if (element.dataset.startLine !== undefined) continue;
-      
-      // Verify the match with a basic content check
-      const titleElement = element.querySelector('.callout-title-inner');
-      const calloutTitle = titleElement ? titleElement.textContent.trim() : '';
+    for (let i = fromLine; i < this.lines.length; i++) {
+      const result = this.scanner.step(state, this.lines[i]);
       
-      if (calloutTitle === callout.title) {
-        element.dataset.startLine = callout.startLine;
-        element.dataset.endLine = callout.endLine;
-        element.dataset.type = callout.type;
+      if (i > toLine && 
+        result.ignored === this.ignored[i] && 
+        BlockContextScanner.sameState(result.state, this.states[i])) {
+        return Math.max(toLine, i - 1);
       }
+      
+      this.ignored[i] = result.ignored;
+      this.states[i] = result.state;
+      state = result.state;
     }
+    
+    return this.lines.length - 1;
   }
-  
+}
+
+/**
+* CalloutIndexManager owns one CalloutIndex per file and keeps them in sync
+* with editor transactions
+*/
+class CalloutIndexManager {
   /**
-  * Add data attributes based on content matching
-  * 
-  * @param {Array<HTMLElement>} elements - Callout DOM elements
-  * @param {Array<Callout>} callouts - Callout objects
+  * Create a new index manager
   */
-  addDataAttributesByContent(elements, callouts) {
-    for (const element of elements) {
-      // Skip elements that already have data attributes
-      if (element.dataset.startLine !== undefined) continue;
-      
-      // Match by content
-      const callout = this.findMatchingCallout(element, callouts);
-      
-      if (callout) {
-        element.dataset.startLine = callout.startLine;
-        element.dataset.endLine = callout.endLine;
-        element.dataset.type = callout.type;
-      }
-    }
+  constructor() {
+    this.parser = new CalloutParser();
+    this.indexes = new Map();
   }
   
   /**
-  * Add unique identifiers to all elements
+  * Get the index for a file, building or rebuilding it if it is out of date
   * 
-  * @param {Array<HTMLElement>} elements - Callout DOM elements
+  * @param {string} path - The file path
+  * @param {Editor} editor - The editor showing the file
+  * @returns {CalloutIndex} The up-to-date index
   */
-  addUniqueIdentifiers(elements) {
-    // For elements that still don't have attributes, add index-based identifiers
-    elements.forEach((element, index) => {
-      if (element.dataset.startLine === undefined) {
-        element.dataset.index = index;
-      }
-      
-      // Add a data-id attribute combining multiple properties for uniqueness
-      const type = element.dataset.type || 'unknown';
-      const startLine = element.dataset.startLine || index;
-      const contentHash = this.getContentHash(element);
-      
-      element.dataset.calloutId = `${type}-${startLine}-${contentHash}`;
-    });
+  getIndex(path, editor) {
+    return this.getIndexForDoc(path, editor.cm?.state?.doc, () => editor.getValue());
   }
   
   /**
-  * Generate a simple hash of element content for additional uniqueness
+  * Get the index for a file shown in a CodeMirror document
   * 
-  * @param {HTMLElement} element - DOM element
-  * @returns {string} Simple hash of content
+  * @param {string} path - The file path
+  * @param {Text|undefined} doc - The CodeMirror document, if available
+  * @param {Function} readContent - Returns the document text when a rebuild is needed
+  * @returns {CalloutIndex} The up-to-date index
   */
-  getContentHash(element) {
-    const content = element.textContent || '';
-    let hash = 0;
+  getIndexForDoc(path, doc, readContent) {
+    let index = this.indexes.get(path);
+    
+    if (index && index.isSyncedWith(doc)) {
+      index.doc = doc;
+      this.touch(path, index);
+      return index;
+    }
     
-    // Simple hash function
-    for (let i = 0; i < content.length; i++) {
-      const char = content.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
+    const content = readContent();
+    if (index) {
+      index.rebuild(content);
+    } else {
+      index = new CalloutIndex(this.parser, content);
     }
+    index.doc = doc || null;
+    this.touch(path, index);
     
-    return Math.abs(hash).toString(16).substring(0, 8);
+    return index;
   }
   
   /**
-  * Find a callout that matches the DOM element
+  * Mark an index as most recently used and evict the oldest ones
   * 
-  * @param {HTMLElement} element - DOM element to match
-  * @param {Array<Callout>} callouts - All callouts in the document
-  * @returns {Callout|null} The matching callout or null
-  */
-  findMatchingCallout(element, callouts) {
-    // First check if we already have data attributes that identify the callout
-    const startLine = element.dataset.startLine;
-    const endLine = element.dataset.endLine;
-    
-    if (startLine !== undefined && endLine !== undefined) {
-      // If we have line numbers, use them for precise matching
-      const matchedCallout = callouts.find(callout => 
-        callout.startLine === parseInt(startLine) && 
-        callout.endLine === parseInt(endLine)
-      );
-      
-      if (matchedCallout) return matchedCallout;
+  * @param {string} path - The file path
+  * @param {CalloutIndex} index - The index
+  */
+  touch(path, index) {
+    this.indexes.delete(path);
+    this.indexes.set(path, index);
+    
+    while (this.indexes.size > CONSTANTS.MAX_CACHED_INDEXES) {
+      this.indexes.delete(this.indexes.keys().next().value);
     }
+  }
+  
+  /**
+  * Apply a CodeMirror view update to the index of its file
+  * 
+  * @param {ViewUpdate} update - The CodeMirror view update
+  */
+  handleUpdate(update) {
+    if (!update.docChanged) return;
     
-    // If we don't have data attributes or couldn't find a match,
-    // fall back to content-based matching but with more precision
-    const titleElement = element.querySelector('.callout-title-inner');
-    const contentElement = element.querySelector('.callout-content');
-    const typeElement = element.querySelector('.callout-title');
+    const file = update.state.field(editorInfoField, false)?.file;
+    const index = file ? this.indexes.get(file.path) : null;
     
-    if (!titleElement || !contentElement) return null;
+    // Indexes are built lazily on first use
+    if (!index) return;
     
-    const title = titleElement.textContent.trim();
-    const content = contentElement.textContent.trim();
-    const typeClass = typeElement ? 
-    Array.from(typeElement.classList)
-    .find(cls => cls.startsWith('callout-title-')) : null;
+    // Another view of the same file already applied this change
+    if (index.doc === update.state.doc) return;
     
-    // Extract type from class (callout-title-info -> info)
-    const type = typeClass ? 
-    typeClass.replace('callout-title-', '') : null;
+    if (!index.isSyncedWith(update.startState.doc)) {
+      if (!index.isSyncedWith(update.state.doc)) {
+        index.doc = null; // Rebuilt on next use
+      }
+      return;
+    }
     
-    // Find callout with matching title and type
-    // Use a more precise content matching algorithm for disambiguation
-    const possibleMatches = callouts.filter(callout => {
-      const titleMatch = callout.title === title;
-      const typeMatch = !type || callout.type === type;
-      
-      return titleMatch && typeMatch;
+    const oldDoc = update.startState.doc;
+    const newDoc = update.state.doc;
+    let fromA = Infinity, toA = 0, fromB = Infinity, toB = 0;
+    
+    update.changes.iterChangedRanges((changeFromA, changeToA, changeFromB, changeToB) => {
+      fromA = Math.min(fromA, changeFromA);
+      toA = Math.max(toA, changeToA);
+      fromB = Math.min(fromB, changeFromB);
+      toB = Math.max(toB, changeToB);
     });
     
-    if (possibleMatches.length === 1) {
-      return possibleMatches[0];
-    } else if (possibleMatches.length > 1) {
-      // If multiple matches, use content comparison and proximity
-      return this.disambiguateCallouts(possibleMatches, content, element);
+    const fromLine = oldDoc.lineAt(fromA).number - 1;
+    const oldToLine = oldDoc.lineAt(toA).number - 1;
+    const newToLine = newDoc.lineAt(toB).number - 1;
+    
+    const newLines = [];
+    for (let line = fromLine; line <= newToLine; line++) {
+      newLines.push(newDoc.line(line + 1).text);
     }
     
-    return null;
+    index.applyChange(fromLine, oldToLine, newLines);
+    index.doc = newDoc;
   }
   
   /**
-  * Apply collapse/expand state to a callout DOM element
+  * Move an index when its file is renamed
   * 
-  * @param {HTMLElement} element - The callout DOM element
-  * @param {boolean} collapsed - Whether to collapse the callout
+  * @param {string} oldPath - The previous file path
+  * @param {string} newPath - The new file path
   */
-  applyCalloutCollapseState(element, collapsed) {
-    if (!element) return;
-    
-    const content = element.querySelector('.callout-content');
-    const foldIcon = element.querySelector('.callout-fold');
-    
-    // Only apply if state is different from current
-    const currentlyCollapsed = element.classList.contains('is-collapsed');
-    if (collapsed !== currentlyCollapsed) {
-      // Toggle collapsed class
-      element.classList.toggle('is-collapsed', collapsed);
-      
-      // Update fold icon
-      if (foldIcon) {
-        foldIcon.classList.toggle('is-collapsed', collapsed);
-      }
-      
-      // Hide/show content
-      if (content) {
-        content.setAttribute('style', collapsed ? 'display: none;' : '');
-      }
-    }
+  rename(oldPath, newPath) {
+    const index = this.indexes.get(oldPath);
+    if (!index) return;
+    this.indexes.delete(oldPath);
+    this.indexes.set(newPath, index);
   }
   
   /**
-  * Apply collapse/expand state to all callout DOM elements
+  * Drop the index of a file
   * 
-  * @param {boolean} collapsed - Whether to collapse all callouts
+  * @param {string} path - The file path
   */
-  applyToAllCallouts(collapsed) {
-    const callouts = this.getAllCalloutElements();
-    callouts.forEach(callout => {
-      this.applyCalloutCollapseState(callout, collapsed);
-    });
+  remove(path) {
+    this.indexes.delete(path);
   }
   
   /**
-  * Get all callout DOM elements within the current section
-  * 
-  * @param {number} cursorLine - The line number where the cursor is located
-  * @param {Array<string>} lines - All lines in the document
-  * @param {Array<Callout>} callouts - All callouts in the document (optional)
-  * @returns {Array<HTMLElement>} Array of callout DOM elements in the current section
+  * Drop all indexes
   */
-  getCalloutsInCurrentSection(cursorLine, lines, callouts = null) {
-    // Find section boundaries
-    let sectionStart = cursorLine;
-    let sectionEnd = cursorLine;
-    
-    // Determine section boundaries based on headings
-    while (sectionStart >= 0 && !lines[sectionStart].startsWith('#')) {
-      sectionStart--;
-    }
-    while (sectionEnd < lines.length && !lines[sectionEnd].startsWith('#')) {
-      sectionEnd++;
-    }
-    
-    // Adjust boundaries
-    if (sectionStart < 0) sectionStart = 0;
-    if (sectionEnd >= lines.length) sectionEnd = lines.length - 1;
-    
-    // If we have data attributes, use them for precise matching
-    const elements = this.getAllCalloutElements();
-    const elementsWithDataAttrs = elements.filter(el => el.dataset.startLine !== undefined);
-    
-    if (elementsWithDataAttrs.length > 0) {
-      // Use data attributes for precise matching
-      return elementsWithDataAttrs.filter(element => {
-        const startLine = parseInt(element.dataset.startLine);
-        const endLine = parseInt(element.dataset.endLine);
-        return startLine >= sectionStart && endLine <= sectionEnd;
-      });
-    }
-    
-    // If we have callouts, try to match by content
-    if (callouts) {
-      // Get callouts in this section
-      const sectionCallouts = callouts.filter(
-        callout => callout.startLine >= sectionStart && callout.endLine <= sectionEnd
-      );
-      
-      // Match DOM elements to these callouts
-      return elements.filter(element => {
-        return sectionCallouts.some(callout => 
-          this.findMatchingCallout(element, [callout]) !== null
-        );
-      });
-    }
-    
-    // Fallback to content matching (less precise)
-    return elements.filter(element => {
-      const calloutContent = element.querySelector('.callout-content')?.textContent.trim();
-      if (!calloutContent) return false;
-      
-      // Try to find a line that contains this content
-      for (let i = sectionStart; i <= sectionEnd; i++) {
-        if (lines[i].includes(calloutContent.substring(0, 20))) {
-          return true;
-        }
-      }
-      return false;
-    });
+  clear() {
+    this.indexes.clear();
   }
   
   /**
-  * Get the closest callout DOM element to the cursor position
+  * Sum the parse counters of all indexes
   * 
-  * @param {number} cursorLine - The line number where the cursor is located
-  * @param {Array<string>} lines - All lines in the document
-  * @param {Array<Callout>} callouts - All callouts in the document (optional)
-  * @returns {HTMLElement|null} The closest callout DOM element or null
+  * @returns {Object} Total full parses, incremental updates, lines parsed and
+  * lines parsed by incremental updates
   */
-  getClosestCalloutToCursor(cursorLine, lines, callouts = null) {
-    const calloutElements = this.getAllCalloutElements();
-    if (!calloutElements.length) return null;
-    
-    // First try: Look for a callout containing the cursor
-    // using data attributes for precision
-    const elementsWithDataAttrs = calloutElements.filter(el => el.dataset.startLine !== undefined);
-    
-    if (elementsWithDataAttrs.length > 0) {
-      // Find containing element using data attributes
-      const containingElement = elementsWithDataAttrs.find(element => {
-        const startLine = parseInt(element.dataset.startLine);
-        const endLine = parseInt(element.dataset.endLine);
-        return cursorLine >= startLine && cursorLine <= endLine;
-      });
-      
-      if (containingElement) {
-        return containingElement;
-      }
-      
-      // Find closest element by distance
-      return elementsWithDataAttrs.sort((a, b) => {
-        const aStartLine = parseInt(a.dataset.startLine);
-        const aEndLine = parseInt(a.dataset.endLine);
-        const bStartLine = parseInt(b.dataset.startLine);
-        const bEndLine = parseInt(b.dataset.endLine);
-        
-        const aDistance = Math.min(
-          Math.abs(aStartLine - cursorLine), 
-          Math.abs(aEndLine - cursorLine)
-        );
-        const bDistance = Math.min(
-          Math.abs(bStartLine - cursorLine), 
-          Math.abs(bEndLine - cursorLine)
-        );
-        
-        return aDistance - bDistance;
-      })[0];
-    }
-    
-    // If we have callouts but no data attributes, try to match using callout objects
-    if (callouts && callouts.length > 0) {
-      // Find the callout closest to cursor
-      const targetCallout = callouts.find(c => c.containsLine(cursorLine)) || 
-      callouts.sort((a, b) => 
-        a.distanceToLine(cursorLine) - b.distanceToLine(cursorLine)
-    )[0];
-    
-    if (targetCallout) {
-      // Try to find matching DOM element
-      return calloutElements.find(element => 
-        this.findMatchingCallout(element, [targetCallout]) !== null
-      );
+  getStats() {
+    const totals = { fullParses: 0, incrementalUpdates: 0, linesParsed: 0, incrementalLinesParsed: 0 };
+    for (const index of this.indexes.values()) {
+      totals.fullParses += index.stats.fullParses;
+      totals.incrementalUpdates += index.stats.incrementalUpdates;
+      totals.linesParsed += index.stats.linesParsed;
+      totals.incrementalLinesParsed += index.stats.incrementalLinesParsed;
     }
+    return totals;
   }
-  
-  // Last resort: use visual position in the viewport
-  return this.getCalloutByVisualProximity(cursorLine, calloutElements);
 }
+
+/**
+* Factory function to create a CalloutOperation that encapsulates
+* the logic for determining the new state of callouts.
+* For 'fold-to-level', `options.level` is the deepest nesting level left expanded.
+*/
+function createCalloutOperation(mode, callouts, options = {}) {
+  // Return a function that determines the new state for each callout
+  switch (mode) {
+    case CONSTANTS.MODES.COLLAPSE:
+    return () => true; // Always collapse
+    
+    case CONSTANTS.MODES.EXPAND:
+    return () => false; // Always expand
+    
+    case CONSTANTS.MODES.TOGGLE_INDIVIDUAL:
+    return (callout) => !callout.isCollapsed; // Flip each callout
+    
+    case CONSTANTS.MODES.FOLD_TO_LEVEL:
+    return (callout) => callout.level > options.level; // Expand down to the level, collapse below
+    
+    case CONSTANTS.MODES.TOGGLE:
+    default:
+    // Count current collapse states to determine majority
+    const collapsedCount = callouts.filter(c => c.isCollapsed).length;
+    const shouldCollapse = collapsedCount < callouts.length / 2;
+    return () => shouldCollapse; // Toggle based on majority
+  }
 }
 
 /**
-* ErrorHandler manages error reporting and logging
+* CalloutMarkdownService - Improved version
+* This class handles the Markdown parsing and manipulation
 */
-class ErrorHandler {
+class CalloutMarkdownService {
   /**
-  * Log an error without showing to user
+  * Creates a new callout markdown service
   * 
-  * @param {string} message - Error message
-  * @param {Error} error - Error object
+  * @param {Editor} editor - The Obsidian editor instance to work with
+  * @param {CalloutIndex} index - Cached callout index for the editor's file (optional)
   */
-  logError(message, error) {
-    console.error(`Callout Control: ${message}`, error);
+  constructor(editor, index = null) {
+    this.editor = editor;
+    this.index = index;
+    this.parser = index ? index.parser : new CalloutParser();
   }
   
   /**
-  * Handle an error with user notification
+  * Get the document lines
   * 
-  * @param {string} message - Error message
-  * @param {Error} error - Error object
-  * @param {string} userMessage - Message to show to the user
+  * @returns {Array<string>} All lines of the document
   */
-  handleError(message, error, userMessage) {
-    // Log error
-    this.logError(message, error);
-    
-    // Show notification if available
-    if (window.activeWindow) {
-      const notice = new Notice(`Callout Control: ${userMessage}`);
-    }
+  getLines() {
+    if (this.index) return this.index.lines;
+    if (!this.editor) return [];
+    return this.editor.getValue().split('\n');
   }
-}
-
-/**
-* PluginSettings class encapsulates the settings for the plugin
-*/
-class PluginSettings {
+  
   /**
-  * Create a new settings object with default values
-  */
-  constructor() {
-    this.commands = {};
-    this.groupsEnabled = {
-      all: true,
-      current: true,
-      section: true
-    };
+  * Detect all callouts in the document
+  * 
+  * @returns {Array<Callout>} Array of detected callouts
+  */
+  detectAllCallouts() {
+    if (this.index) return this.index.callouts;
+    if (!this.editor) return [];
+    const content = this.editor.getValue();
+    return this.parser.parseDocument(content);
   }
   
   /**
-  * Merge default settings with loaded settings
+  * Detect all callouts in the document, including nested ones
   * 
-  * @param {Object} loadedSettings - Settings loaded from storage
-  * @returns {PluginSettings} The merged settings
+  * @returns {Array<Callout>} Every callout in document order
   */
-  merge(loadedSettings) {
-    if (!loadedSettings) return this;
-    
-    // Merge command settings
-    if (loadedSettings.commands) {
-      this.commands = { ...this.commands, ...loadedSettings.commands };
-    }
-    
-    // Merge group settings
-    if (loadedSettings.groupsEnabled) {
-      this.groupsEnabled = { ...this.groupsEnabled, ...loadedSettings.groupsEnabled };
-    }
-    
-    return this;
+  detectAllCalloutsFlattened() {
+    return this.parser.flattenCallouts(this.detectAllCallouts());
   }
   
   /**
-  * Check if a command is enabled
+  * Find the callout containing the given line
   * 
-  * @param {string} commandId - The command ID to check
-  * @returns {boolean} Whether the command is enabled
+  * @param {number} lineNumber - The line number to check
+  * @returns {Callout|null} The callout containing this line or null
   */
-  isCommandEnabled(commandId) {
-    return this.commands[commandId] !== false; // Default to enabled if not set
+  findCalloutContainingLine(lineNumber) {
+    const allCallouts = this.detectAllCallouts();
+    return this.parser.findCalloutContainingLine(allCallouts, lineNumber);
   }
   
   /**
-  * Enable or disable a command
+  * Get the closest callout to the cursor position
   * 
-  * @param {string} commandId - The command ID to update
-  * @param {boolean} enabled - Whether to enable the command
+  * @param {number} cursorLine - The current cursor line
+  * @returns {Callout|null} The closest callout or null
   */
-  setCommandEnabled(commandId, enabled) {
-    this.commands[commandId] = enabled;
+  getClosestCalloutToCursor(cursorLine) {
+    const allCallouts = this.detectAllCallouts();
+    return this.parser.findClosestCallout(allCallouts, cursorLine);
   }
   
   /**
-  * Enable or disable all commands in a group
+  * Find a callout above the cursor
   * 
-  * @param {string} group - The group to update ('all', 'current', 'section')
-  * @param {boolean} enabled - Whether to enable the group
-  * @param {Array<CalloutCommand>} commands - All commands to update
+  * @param {number} cursorLine - The current cursor line
+  * @returns {Callout|null} The callout above the cursor or null
   */
-  setGroupEnabled(group, enabled, commands) {
-    this.groupsEnabled[group] = enabled;
+  findCalloutAboveCursor(cursorLine) {
+    if (!this.editor) return null;
+    const lines = this.getLines();
     
-    // Update all commands in this group
-    commands.forEach(cmd => {
-      if (cmd.scope === group) {
-        this.setCommandEnabled(cmd.id, enabled);
+    // Scan upward from cursor
+    for (let lineIndex = cursorLine; lineIndex >= 0; lineIndex--) {
+      if (this.parser.isCalloutStartAt(lines, lineIndex)) {
+        return this.parser.parseCallout(lines, lineIndex);
       }
-    });
+    }
+    
+    return null;
   }
   
   /**
-  * Create a plain object representation for storage
-  * 
-  * @returns {Object} Plain object for storage
-  */
-  toObject() {
-    return {
-      commands: { ...this.commands },
-      groupsEnabled: { ...this.groupsEnabled }
-    };
-  }
-}
-
-/**
-* CommandRegistry manages the plugin's available commands
-*/
-class CommandRegistry {
-  /**
-  * Create a new command registry
+  * Get all callouts in the current section
   * 
-  * @param {Plugin} plugin - The Obsidian plugin instance
-  * @param {PluginSettings} settings - The plugin settings
+  * @param {number} cursorLine - The cursor line
+  * @returns {Array<Callout>} Callouts in the current section
   */
-  constructor(plugin, settings) {
-    this.plugin = plugin;
-    this.settings = settings;
-    this.commands = [];
-    this.registeredIds = [];
+  getCalloutsInCurrentSection(cursorLine) {
+    if (!this.editor) return [];
+    
+    const allCallouts = this.detectAllCalloutsFlattened();
+    const lines = this.getLines();
+    
+    return this.parser.getCalloutsInSection(allCallouts, lines, cursorLine);
   }
   
   /**
-  * Initialize the command registry with the provided command table
+  * Get all callouts under the heading around the cursor, including its subheadings
   * 
-  * @param {Array} commandTable - Table of command definitions
-  * @returns {CommandRegistry} This registry instance for chaining
+  * @param {number} cursorLine - The cursor line
+  * @returns {Array<Callout>} Callouts in the heading's subtree
   */
-  initializeFromTable(commandTable) {
-    this.commands = commandTable.map(([id, name, scope, mode, modifyMarkdown]) => 
-      new CalloutCommand(id, name, scope, mode, modifyMarkdown)
-  );
-  return this;
-}
-
-/**
-* Register all enabled commands
-* 
-* @param {Function} operationHandler - Function to handle command operations
-*/
-registerCommands(operationHandler) {
-  // Clear any previously registered commands
-  this.unregisterAllCommands();
+  getCalloutsInHeadingSubtree(cursorLine) {
+    if (!this.editor) return [];
+    
+    const lines = this.getLines();
+    const bounds = this.parser.getHeadingSubtreeBounds(lines, cursorLine);
+    return this.parser.getCalloutsInBounds(this.detectAllCalloutsFlattened(), bounds);
+  }
   
-  // Register each enabled command
-  this.commands.forEach(command => {
-    if (this.settings.isCommandEnabled(command.id)) {
-      this.registeredIds.push(command.id);
-      
-      this.plugin.addCommand({
-        id: command.id,  // <-- Use command.id directly without the plugin prefix
-        name: command.name,
-        callback: () => command.execute(operationHandler)
-      });
-    }
-  });
-}
-
-/**
-* Unregister all previously registered commands
-*/
-unregisterAllCommands() {
-  this.registeredIds.forEach(id => {
-    this.plugin.removeCommand(id);
-  });
-  this.registeredIds = [];
-}
-
-/**
-* Get all commands with a specific scope
-* 
-* @param {string} scope - The scope to filter by
-* @returns {Array<CalloutCommand>} Commands with the given scope
-*/
-getCommandsByScope(scope) {
-  return this.commands.filter(cmd => cmd.scope === scope);
-}
-
-/**
-* Get all command scopes
-* 
-* @returns {Array<string>} Array of unique scopes
-*/
-getAllScopes() {
-  return [...new Set(this.commands.map(cmd => cmd.scope))];
-}
-}
-
-/**
-* Settings tab for the Callout Control plugin
-*/
-class CalloutControlSettingsTab extends PluginSettingTab {
   /**
-  * Create a new settings tab
+  * Get all callouts in the parent section of the heading around the cursor
   * 
-  * @param {App} app - The Obsidian application instance
-  * @param {CalloutControlPlugin} plugin - The plugin instance
+  * @param {number} cursorLine - The cursor line
+  * @returns {Array<Callout>} Callouts in the parent section
   */
-  constructor(app, plugin) {
-    super(app, plugin);
-    this.plugin = plugin;
+  getCalloutsInParentSection(cursorLine) {
+    if (!this.editor) return [];
+    
+    const lines = this.getLines();
+    const bounds = this.parser.getParentSectionBounds(lines, cursorLine);
+    return this.parser.getCalloutsInBounds(this.detectAllCalloutsFlattened(), bounds);
   }
   
   /**
-  * Display the settings UI
+  * Get all callouts under a given heading, including its subheadings
+  * 
+  * @param {number} headingLine - Line of the heading
+  * @returns {Array<Callout>} Callouts in the heading's subtree
   */
-  display() {
-    const { containerEl } = this;
-    containerEl.empty();
-    
-    // Add styling for group containers
-    this.addGroupContainerStyles();
-    
-    // Add settings header and description
-    this.addHeaderAndDescription();
+  getCalloutsUnderHeading(headingLine) {
+    if (!this.editor) return [];
     
-    // Group commands by scope for display
-    const groupedCommands = this.groupCommandsByScope();
+    const lines = this.getLines();
+    const level = this.parser.getHeadingLevel(lines, headingLine);
+    if (!level) return [];
     
-    // Render settings for each command group
-    this.renderGroupSettings(groupedCommands);
+    const bounds = this.parser.getSubtreeBounds(lines, { line: headingLine, level });
+    return this.parser.getCalloutsInBounds(this.detectAllCalloutsFlattened(), bounds);
   }
   
   /**
-  * Add CSS styling for group containers
+  * List the headings of the document
+  * 
+  * @returns {Array<Object>} Array of { line, level, text }
   */
-  addGroupContainerStyles() {
-    const style = document.createElement('style');
-    style.textContent = `
-      .callout-control-group {
-        margin-bottom: 2em;
-        padding: 0.5em 1em;
-        border: 1px solid var(--background-modifier-border);
-        border-radius: 6px;
-      }
-      .callout-control-group h3 {
-        margin-top: 0;
-      }
-      .callout-control-description {
-        margin-bottom: 1em;
-        color: var(--text-muted);
-        font-size: 0.9em;
-      }
-    `;
-    this.containerEl.appendChild(style);
+  getHeadings() {
+    if (!this.editor) return [];
+    return this.parser.getHeadings(this.getLines());
   }
   
   /**
-  * Add header and description to settings
+  * Find the callout a navigation command moves to
+  * 
+  * @param {string} mode - One of the navigation modes ('next', 'previous', 'parent', ...)
+  * @param {number} cursorLine - The cursor line
+  * @param {Function} isCollapsed - Returns whether a callout is shown collapsed
+  * @returns {Callout|null} The destination callout, or null if there is none
   */
-  addHeaderAndDescription() {
-    const heading = this.containerEl.createEl('h3', { text: 'Available Commands' });
+  findNavigationTarget(mode, cursorLine, isCollapsed = (callout) => callout.isCollapsed) {
+    const callouts = this.detectAllCalloutsFlattened();
+    const current = callouts
+    .filter(callout => callout.containsLine(cursorLine))
+    .pop() || null;
     
-    const description = document.createElement('div');
-    description.className = 'callout-control-description';
-    description.textContent = 'Enable or disable specific commands shown in the command palette.';
+    const after = callouts.filter(callout => callout.startLine > cursorLine);
+    const before = callouts.filter(callout => callout.startLine < cursorLine);
     
-    heading.insertAdjacentElement('afterend', description);
+    switch (mode) {
+      case CONSTANTS.MODES.NEXT:
+      return after[0] || null;
+      
+      case CONSTANTS.MODES.PREVIOUS:
+      return before.pop() || null;
+      
+      case CONSTANTS.MODES.NEXT_COLLAPSED:
+      return after.find(callout => isCollapsed(callout)) || null;
+      
+      case CONSTANTS.MODES.PREVIOUS_COLLAPSED:
+      return before.filter(callout => isCollapsed(callout)).pop() || null;
+      
+      case CONSTANTS.MODES.NEXT_SAME_TYPE:
+      if (!current) return null;
+      return callouts.find(callout => 
+        callout.startLine > current.startLine && 
+        callout.type.toLowerCase() === current.type.toLowerCase()
+      ) || null;
+      
+      case CONSTANTS.MODES.PARENT:
+      // From inside a callout's body go to its header, from the header to its parent
+      if (!current) return null;
+      if (cursorLine !== current.startLine) return current;
+      return callouts.find(callout => callout.nestedCallouts.includes(current)) || null;
+      
+      case CONSTANTS.MODES.CHILD:
+      return current && current.nestedCallouts[0] || null;
+      
+      default:
+      return null;
+    }
   }
   
   /**
-  * Group commands by their scope
-  * 
-  * @returns {Object} Commands grouped by scope
+  * Get the siblings of a callout for accordion mode: the callouts with the same
+  * parent (or the other top-level callouts) within the callout's section
+  *
+  * @param {Callout} callout - The callout being expanded
+  * @returns {Array<Callout>} Sibling callouts, excluding the callout itself
   */
-  groupCommandsByScope() {
-    // Get all commands from the registry
-    const commands = this.plugin.commandRegistry.commands;
+  getAccordionSiblings(callout) {
+    const roots = this.detectAllCallouts();
+    const parent = this.parser.flattenCallouts(roots)
+    .find(candidate => candidate.nestedCallouts.some(child => child.startLine === callout.startLine));
+    const candidates = parent ? parent.nestedCallouts : roots;
     
-    // Group by scope
-    return commands.reduce((groups, command) => {
-      if (!groups[command.scope]) {
-        groups[command.scope] = [];
-      }
-      groups[command.scope].push(command);
-      return groups;
-    }, {});
+    return this.parser
+    .getCalloutsInSection(candidates, this.getLines(), callout.startLine)
+    .filter(sibling => sibling.startLine !== callout.startLine);
   }
   
   /**
-  * Render settings for all command groups
+  * Get the callouts touched by the editor's selections.
+  * A selection range takes every callout it intersects, nested ones included;
+  * an empty selection (a bare cursor) takes the innermost callout around it.
   * 
-  * @param {Object} groupedCommands - Commands grouped by scope
+  * @returns {Array<Callout>} Callouts in the selections, in document order
   */
-  renderGroupSettings(groupedCommands) {
-    Object.entries(groupedCommands).forEach(([scope, commands]) => {
-      this.renderScopeGroup(scope, commands);
+  getCalloutsInSelections() {
+    if (!this.editor) return [];
+    
+    const roots = this.detectAllCallouts();
+    const allCallouts = this.parser.flattenCallouts(roots);
+    const selected = new Set();
+    
+    this.editor.listSelections().forEach(({ anchor, head }) => {
+      const fromLine = Math.min(anchor.line, head.line);
+      const toLine = Math.max(anchor.line, head.line);
+      const isEmpty = anchor.line === head.line && anchor.ch === head.ch;
+      
+      if (isEmpty) {
+        const callout = this.parser.findCalloutContainingLine(roots, fromLine);
+        if (callout) selected.add(callout);
+        return;
+      }
+      
+      allCallouts
+      .filter(callout => callout.startLine <= toLine && callout.endLine >= fromLine)
+      .forEach(callout => selected.add(callout));
     });
+    
+    return allCallouts.filter(callout => selected.has(callout));
   }
   
   /**
-  * Render settings for a specific command scope
+  * Update a callout's collapse state in the document
   * 
-  * @param {string} scope - The command scope
-  * @param {Array<CalloutCommand>} commands - Commands in this scope
+  * @param {Callout} callout - The callout to update
+  * @param {boolean} newState - The new collapse state
+  * @returns {boolean} True if update was successful
   */
-  renderScopeGroup(scope, commands) {
-    // Create group container
-    const section = this.containerEl.createDiv({ cls: 'callout-control-group' });
-    
-    // Add scope heading
-    const formattedScope = scope.charAt(0).toUpperCase() + scope.slice(1);
-    section.createEl('h3', { text: formattedScope });
-    
-    // Add scope description
-    let scopeDescription = '';
-    switch (scope) {
-      case CONSTANTS.SCOPES.ALL:
-      scopeDescription = 'Commands that affect all callouts in the document.';
-      break;
-      case CONSTANTS.SCOPES.CURRENT:
-      scopeDescription = 'Commands that affect the callout at or nearest to the cursor.';
-      break;
-      case CONSTANTS.SCOPES.SECTION:
-      scopeDescription = 'Commands that affect callouts in the current section (between headings).';
-      break;
-    }
+  updateCalloutCollapseState(callout, newState) {
+    return this.updateCalloutCollapseStates([{ callout, collapsed: newState }]) > 0;
+  }
+  
+  /**
+  * Update the collapse state of several callouts in one editor transaction,
+  * so the whole change is a single undo step and a single editor change
+  * 
+  * @param {Array<Object>} changes - Array of { callout, collapsed }
+  * @returns {number} Number of callout lines that changed
+  */
+  updateCalloutCollapseStates(changes) {
+    if (!this.editor) return 0;
     
-    const descEl = section.createDiv({ cls: 'callout-control-description' });
-    descEl.textContent = scopeDescription;
+    const editorChanges = [];
     
-    // Add group toggle
-    this.addGroupToggle(section, scope, commands);
+    changes.forEach(({ callout, collapsed }) => {
+      if (callout.startLine === undefined) return;
+      
+      // Get the updated line from the callout
+      const updatedLine = callout.updateCollapseState(collapsed);
+      
+      // Get the original line for comparison
+      const originalLine = this.editor.getLine(callout.startLine);
+      
+      // Only update if the line has changed
+      if (updatedLine !== originalLine) {
+        editorChanges.push({
+          text: updatedLine,
+          from: { line: callout.startLine, ch: 0 },
+          to: { line: callout.startLine, ch: originalLine.length }
+        });
+      }
+    });
     
-    // Separate markdown and visual commands
-    const markdownCommands = commands.filter(cmd => cmd.modifyMarkdown);
-    const visualCommands = commands.filter(cmd => !cmd.modifyMarkdown);
+    if (editorChanges.length) {
+      this.editor.transaction({ changes: editorChanges });
+    }
     
-    // Add subheadings if both types exist
-    if (markdownCommands.length && visualCommands.length) {
-      const markdownHeading = section.createEl('h4', { text: 'Markdown Commands' });
-      markdownHeading.style.marginTop = '1em';
-      markdownHeading.style.marginBottom = '0.5em';
+    return editorChanges.length;
+  }
+}
+
+/**
+* BatchFoldService changes fold markers in many notes at once.
+* It collects notes by folder, tag or search results, previews the changes
+* as a dry run and then writes them, going through the editor for notes that
+* are open so unsaved edits are not overwritten.
+*/
+class BatchFoldService {
+  /**
+  * Create a new batch service
+  * 
+  * @param {App} app - The Obsidian application instance
+  * @param {CalloutParser} parser - Parser used for every note
+  * @param {ErrorHandler} errorHandler - Logs notes that can't be read or updated
+  */
+  constructor(app, parser, errorHandler) {
+    this.app = app;
+    this.parser = parser;
+    this.errorHandler = errorHandler;
+  }
+  
+  /**
+  * Collect the Markdown files a batch operation applies to
+  * 
+  * @param {Object} target - { kind: 'folder', path } | { kind: 'tag', tag } | { kind: 'search', query }
+  * @returns {Promise<Array<TFile>>} The matching files
+  */
+  async getFiles(target) {
+    switch (target.kind) {
+      case 'folder':
+      return this.getFilesInFolder(target.path);
       
-      markdownCommands.forEach(command => {
-        this.addCommandToggle(section, command);
-      });
+      case 'tag':
+      return this.getFilesWithTag(target.tag);
       
-      const visualHeading = section.createEl('h4', { text: 'Visual-Only Commands' });
-      visualHeading.style.marginTop = '1em';
-      visualHeading.style.marginBottom = '0.5em';
+      case 'search':
+      return this.getSearchResultFiles(target.query);
       
-      visualCommands.forEach(command => {
-        this.addCommandToggle(section, command);
-      });
-    } else {
-      // Just list all commands without subheadings
-      commands.forEach(command => {
-        this.addCommandToggle(section, command);
-      });
+      default:
+      return [];
     }
   }
   
   /**
-  * Add a toggle for enabling/disabling all commands in a group
+  * Get the Markdown files in a folder and its subfolders
   * 
-  * @param {HTMLElement} containerEl - Container element
-  * @param {string} scope - Command scope
-  * @param {Array<CalloutCommand>} commands - Commands in this scope
+  * @param {string} path - Folder path; empty or `/` means the whole vault
+  * @returns {Array<TFile>} Files in the folder
   */
-  addGroupToggle(containerEl, scope, commands) {
-    const formattedScope = scope.charAt(0).toUpperCase() + scope.slice(1);
+  getFilesInFolder(path) {
+    const folder = (path || '').trim().replace(/^\/+|\/+$/g, '');
     
-    new Setting(containerEl)
-    .setName(`Enable ${formattedScope} Commands`)
-    .setDesc(`Toggle all commands that affect ${scope} callouts`)
-    .addToggle(toggle => toggle
-      .setValue(this.plugin.settings.groupsEnabled[scope] || false)
-      .onChange(async (value) => {
-        // Update all commands in this group
-        this.plugin.settings.setGroupEnabled(scope, value, commands);
-        
-        // Save settings
-        await this.plugin.saveSettings();
-        
-        // Refresh commands in the command palette
-        this.plugin.commandRegistry.registerCommands(
-          (scope, mode, modifyMarkdown) => 
-            this.plugin.applyCalloutOperation(scope, mode, modifyMarkdown)
-        );
-        
-        // Redraw settings panel to reflect changes
-        this.display();
-      })
+    return this.app.vault.getMarkdownFiles().filter(file => 
+      !folder || file.path.startsWith(`${folder}/`)
     );
   }
   
   /**
-  * Add a toggle for a specific command
+  * Get the Markdown files that have a tag, including its nested tags
   * 
-  * @param {HTMLElement} containerEl - Container element
-  * @param {CalloutCommand} command - The command to add a toggle for
+  * @param {string} tag - The tag, with or without `#`
+  * @returns {Array<TFile>} Files with the tag
   */
-  addCommandToggle(containerEl, command) {
-    // Determine if command is enabled
-    const isEnabled = this.plugin.settings.isCommandEnabled(command.id);
-    
-    // Create a descriptive name based on command properties
-    let displayName = command.name;
+  getFilesWithTag(tag) {
+    const wanted = `#${(tag || '').trim().replace(/^#/, '')}`.toLowerCase();
+    if (wanted === '#') return [];
     
-    // Add description based on mode
-    let description = '';
-    switch (command.mode) {
-      case CONSTANTS.MODES.TOGGLE:
-      description = 'Toggles all callouts based on the majority state';
-      break;
-      case CONSTANTS.MODES.COLLAPSE:
-      description = 'Collapses all callouts';
-      break;
-      case CONSTANTS.MODES.EXPAND:
-      description = 'Expands all callouts';
-      break;
-      case CONSTANTS.MODES.TOGGLE_INDIVIDUAL:
-      description = 'Toggles each callout individually';
-      break;
-    }
+    return this.app.vault.getMarkdownFiles().filter(file => this.hasTag(file, wanted));
+  }
+  
+  /**
+  * Whether a note has a tag, or a nested tag below it
+  * 
+  * @param {TFile} file - The note
+  * @param {string} tag - Tag with or without the leading '#'
+  * @returns {boolean} True if the note is tagged
+  */
+  hasTag(file, tag) {
+    const wanted = `#${(tag || '').trim().replace(/^#/, '')}`.toLowerCase();
+    if (wanted === '#') return false;
     
-    // Add setting toggle
-    new Setting(containerEl)
-    .setName(displayName)
-    .setDesc(description)
-    .addToggle(toggle => {
-      toggle
-      .setValue(isEnabled)
-      .onChange(async (value) => {
-        // Update command state
-        this.plugin.settings.setCommandEnabled(command.id, value);
-        
-        // If enabling a command, ensure its group is enabled
-        if (value) {
-          this.plugin.settings.groupsEnabled[command.scope] = true;
-        }
-        
-        // Save settings
-        await this.plugin.saveSettings();
-        
-        // Refresh commands in the command palette
-        this.plugin.commandRegistry.registerCommands(
-          (scope, mode, modifyMarkdown) => 
-            this.plugin.applyCalloutOperation(scope, mode, modifyMarkdown)
-        );
-        
-        // Redraw settings panel to reflect changes
-        this.display();
-      });
+    const cache = this.app.metadataCache.getFileCache(file);
+    const tags = cache ? getAllTags(cache) || [] : [];
+    return tags.some(fileTag => {
+      const normalized = fileTag.toLowerCase();
+      return normalized === wanted || normalized.startsWith(`${wanted}/`);
     });
   }
-}
-
-/**
-* CalloutControlPlugin - Refactored main plugin class
-* 
-* The main plugin class that coordinates the services and provides
-* commands to the Obsidian interface.
-*/
-module.exports = class CalloutControlPlugin extends Plugin {
   
   /**
-  * Initialize plugin properties
+  * Get the Markdown files listed in the search view. If they can't be read,
+  * the notes are searched for the query instead.
+  * 
+  * @param {string} query - Search text to fall back to
+  * @returns {Promise<Array<TFile>>} Files in the current search results
   */
-  constructor(app, manifest) {
-    super(app, manifest);
+  async getSearchResultFiles(query) {
+    const files = this.readSearchView();
+    if (files) return files;
     
-    // Initialize settings
-    this.settings = new PluginSettings();
+    new Notice('Callout Control: The search results are unavailable, so notes matching the search text are used instead');
+    return this.searchFiles(query);
+  }
+  
+  /**
+  * Read the files listed in the search view.
+  * The search view has no public API for its results, so this reads them from
+  * the view's result list and returns null if that is missing or has changed.
+  * 
+  * @returns {Array<TFile>|null} Files in the search results, or null if unavailable
+  */
+  readSearchView() {
+    const leaf = this.app.workspace.getLeavesOfType('search')[0];
+    const lookup = leaf?.view?.dom?.resultDomLookup;
+    if (!(lookup instanceof Map)) return null;
     
-    // Command registry
-    this.commandRegistry = new CommandRegistry(this, this.settings);
+    return Array.from(lookup.keys()).filter(file => file?.extension === 'md');
+  }
+  
+  /**
+  * Get the query of the search view from its view state
+  * 
+  * @returns {string} The query, or an empty string if there is no search view
+  */
+  getSearchQuery() {
+    const leaf = this.app.workspace.getLeavesOfType('search')[0];
+    const query = leaf?.view?.getState?.()?.query;
+    return typeof query === 'string' ? query : '';
+  }
+  
+  /**
+  * Find the Markdown files whose path or content contains every word of a query
+  * 
+  * @param {string} query - Words to look for, case-insensitive
+  * @returns {Promise<Array<TFile>>} The matching files
+  */
+  async searchFiles(query) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (!words.length) return [];
     
-    // Error handler
-    this.errorHandler = new ErrorHandler();
+    const matches = [];
+    for (const file of this.app.vault.getMarkdownFiles()) {
+      try {
+        const text = `${file.path}\n${await this.app.vault.cachedRead(file)}`.toLowerCase();
+        if (words.every(word => text.includes(word))) matches.push(file);
+      } catch (error) {
+        this.errorHandler.logError(`Failed to search ${file.path}`, error);
+      }
+    }
     
-    // Mutation observer for DOM updates
-    this.mutationObserver = null;
+    return matches;
   }
   
   /**
-  * Load settings from storage
+  * Work out which fold markers an operation changes in a note
+  * 
+  * @param {string} content - The note content
+  * @param {string} mode - 'collapse', 'expand' or 'toggle-individual'
+  * @param {Array<string>|null} types - Callout types to limit the operation to, or null for all
+  * @returns {Array<Object>} Array of { callout, before, after } for callouts whose marker changes
   */
-  async loadSettings() {
-    try {
-      const loadedData = await this.loadData();
-      this.settings.merge(loadedData);
-    } catch (error) {
-      this.errorHandler.handleError(
-        "Failed to load settings", 
-        error,
-        "Using default settings instead."
-      );
+  computeChanges(content, mode, types = null) {
+    let callouts = this.parser.flattenCallouts(this.parser.parseDocument(content));
+    
+    if (types) {
+      const wanted = types.map(type => type.toLowerCase());
+      callouts = callouts.filter(callout => wanted.includes(callout.type.toLowerCase()));
     }
+    
+    const getNewState = createCalloutOperation(mode, callouts);
+    
+    return callouts
+    .map(callout => ({
+      callout,
+      before: CalloutHeader.parse(callout.rawLine).foldMarker,
+      after: getNewState(callout) ? '-' : '+'
+    }))
+    // A callout without a marker is already expanded and can't be folded, so it keeps no marker
+    .filter(change => change.before !== change.after && !(change.before === '' && change.after === '+'));
   }
   
   /**
-  * Save settings to storage
+  * Apply fold marker changes to note content
+  * 
+  * @param {string} content - The note content
+  * @param {Array<Object>} changes - Changes from computeChanges
+  * @returns {string} The updated content
   */
-  async saveSettings() {
-    try {
-      await this.saveData(this.settings.toObject());
-    } catch (error) {
-      this.errorHandler.handleError(
-        "Failed to save settings", 
-        error,
-        "Your changes may not persist after restarting Obsidian."
-      );
-    }
+  applyChangesToContent(content, changes) {
+    const lines = content.split('\n');
+    
+    changes.forEach(({ callout, after }) => {
+      lines[callout.startLine] = callout.updateCollapseState(after === '-');
+    });
+    
+    return lines.join('\n');
   }
   
   /**
-  * Initialize the plugin and register commands
+  * Dry run: read every file and collect the changes without writing anything
+  * 
+  * @param {Array<TFile>} files - Files to check
+  * @param {string} mode - Operation mode
+  * @param {Array<string>|null} types - Callout types to limit the operation to
+  * @returns {Promise<Object>} { files: Array<{ file, changes }>, calloutCount, failed: Array<TFile> }
   */
-  async onload() {
-    try {
-      // Load settings at startup
-      await this.loadSettings();
-      
-      // Initialize command registry with command table
-      this.commandRegistry.initializeFromTable([
-        // Current Callout (Markdown)
-        ['toggle-current-markdown', 'Toggle Current', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.TOGGLE, true],
-        ['collapse-current-markdown', 'Collapse Current', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.COLLAPSE, true],
-        ['expand-current-markdown', 'Expand Current', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.EXPAND, true],
+  async preview(files, mode, types = null) {
+    const results = [];
+    const failed = [];
+    
+    for (const file of files) {
+      try {
+        const editor = this.findOpenEditor(file);
+        const content = editor ? editor.getValue() : await this.app.vault.cachedRead(file);
+        const changes = this.computeChanges(content, mode, types);
         
-        // Current Callout (Visual Only)
-        ['toggle-current-visual', 'Toggle Current (Visual)', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.TOGGLE, false],
+        if (changes.length) {
+          results.push({ file, changes });
+        }
+      } catch (error) {
+        this.errorHandler.logError(`Failed to read ${file.path}`, error);
+        failed.push(file);
+      }
+    }
+    
+    return {
+      files: results,
+      calloutCount: results.reduce((sum, result) => sum + result.changes.length, 0),
+      failed
+    };
+  }
+  
+  /**
+  * Apply an operation to the files of a preview.
+  * Changes are computed again from the current content, so edits made after
+  * the preview are respected. Open notes are changed through their editor.
+  * 
+  * @param {Object} preview - Result of preview()
+  * @param {string} mode - Operation mode
+  * @param {Array<string>|null} types - Callout types to limit the operation to
+  * @returns {Promise<Object>} { fileCount, calloutCount, failed: Array<TFile> }
+  */
+  async apply(preview, mode, types = null) {
+    const result = { fileCount: 0, calloutCount: 0, failed: [] };
+    
+    for (const { file } of preview.files) {
+      try {
+        let changeCount = 0;
+        const editor = this.findOpenEditor(file);
+        
+        if (editor) {
+          const markdownService = new CalloutMarkdownService(editor);
+          const changes = this.computeChanges(editor.getValue(), mode, types);
+          changeCount = markdownService.updateCalloutCollapseStates(
+            changes.map(({ callout, after }) => ({ callout, collapsed: after === '-' }))
+          );
+        } else {
+          await this.app.vault.process(file, (data) => {
+            const changes = this.computeChanges(data, mode, types);
+            changeCount = changes.length;
+            return this.applyChangesToContent(data, changes);
+          });
+        }
+        
+        if (changeCount) {
+          result.fileCount++;
+          result.calloutCount += changeCount;
+        }
+      } catch (error) {
+        this.errorHandler.logError(`Failed to update ${file.path}`, error);
+        result.failed.push(file);
+      }
+    }
+    
+    return result;
+  }
+  
+  /**
+  * Find an editor that has a file open
+  * 
+  * @param {TFile} file - The file to look for
+  * @returns {Editor|null} The editor, or null if the file is not open
+  */
+  findOpenEditor(file) {
+    const leaf = this.app.workspace.getLeavesOfType('markdown')
+    .find(leaf => leaf.view instanceof MarkdownView && leaf.view.file === file);
+    return leaf ? leaf.view.editor : null;
+  }
+}
+
+/**
+* FoldRuleService evaluates the default fold rules of the settings against a
+* note and turns a matching rule into options for the operation pipeline.
+*/
+class FoldRuleService {
+  /**
+  * Create a new rule service
+  * 
+  * @param {App} app - The Obsidian application instance
+  * @param {BatchFoldService} batchService - Used for tag matching
+  */
+  constructor(app, batchService) {
+    this.app = app;
+    this.batchService = batchService;
+  }
+  
+  /**
+  * Get the enabled rules whose note conditions match a note, in order
+  * 
+  * @param {Array<Object>} rules - Rules from the settings
+  * @param {TFile} file - The note
+  * @returns {Array<Object>} The matching rules
+  */
+  getRulesForFile(rules, file) {
+    return rules.filter(rule => rule.enabled && this.matchesFile(rule, file));
+  }
+  
+  /**
+  * Check the folder, tag and frontmatter conditions of a rule.
+  * Empty conditions match every note.
+  * 
+  * @param {Object} rule - The rule
+  * @param {TFile} file - The note
+  * @returns {boolean} True if the note meets every condition
+  */
+  matchesFile(rule, file) {
+    const folder = (rule.folder || '').trim().replace(/^\/+|\/+$/g, '');
+    if (folder && !file.path.startsWith(`${folder}/`)) return false;
+    
+    if (rule.tag && rule.tag.trim() && !this.batchService.hasTag(file, rule.tag)) return false;
+    
+    if (rule.frontmatter && rule.frontmatter.trim()) {
+      const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+      if (!this.matchesFrontmatter(frontmatter, rule.frontmatter)) return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+  * Check a frontmatter condition, either "key" (the property is set) or
+  * "key: value" (the property, or one of its list items, equals the value)
+  * 
+  * @param {Object|undefined} frontmatter - Frontmatter of the note
+  * @param {string} condition - The condition
+  * @returns {boolean} True if the condition holds
+  */
+  matchesFrontmatter(frontmatter, condition) {
+    if (!frontmatter) return false;
+    
+    const separator = condition.indexOf(':');
+    const key = (separator === -1 ? condition : condition.slice(0, separator)).trim();
+    const actual = frontmatter[key];
+    
+    if (separator === -1) {
+      return actual !== undefined && actual !== null && actual !== false;
+    }
+    
+    const expected = condition.slice(separator + 1).trim().toLowerCase();
+    const values = Array.isArray(actual) ? actual : [actual];
+    return values.some(value => value !== undefined && value !== null && 
+      String(value).toLowerCase() === expected
+    );
+  }
+  
+  /**
+  * Turn the callout conditions of a rule into operation options
+  * 
+  * @param {Object} rule - The rule
+  * @returns {Object} Options for applyCalloutOperation
+  * @throws {SyntaxError} If the title pattern is not a valid regular expression
+  */
+  getOperationOptions(rule) {
+    const options = { silent: true };
+    
+    const types = (rule.types || '')
+    .split(',')
+    .map(type => type.trim().replace(/^\[!|\]$/g, ''))
+    .filter(Boolean);
+    if (types.length) options.types = types;
+    
+    if (rule.minLevel > 1) options.minLevel = rule.minLevel;
+    
+    if (rule.titlePattern && rule.titlePattern.trim()) {
+      options.titlePattern = new RegExp(rule.titlePattern, 'i');
+    }
+    
+    return options;
+  }
+  
+  /**
+  * Describe a rule in a short sentence for the settings tab
+  * 
+  * @param {Object} rule - The rule
+  * @returns {string} The description
+  */
+  describe(rule) {
+    const types = (rule.types || '').split(',').map(type => type.trim()).filter(Boolean);
+    const what = types.length ? `${types.map(type => `[!${type}]`).join(', ')} callouts` : 'all callouts';
+    const where = [];
+    if (rule.folder && rule.folder.trim()) where.push(`in ${rule.folder.trim()}`);
+    if (rule.tag && rule.tag.trim()) where.push(`in notes tagged #${rule.tag.trim().replace(/^#/, '')}`);
+    if (rule.frontmatter && rule.frontmatter.trim()) where.push(`in notes with "${rule.frontmatter.trim()}"`);
+    
+    const action = rule.action === 'expand' ? 'Expand' : 'Collapse';
+    const depth = rule.minLevel > 1 ? ` nested ${rule.minLevel} or more levels deep` : '';
+    const title = rule.titlePattern && rule.titlePattern.trim() ? ` whose title matches /${rule.titlePattern.trim()}/` : '';
+    const mode = rule.modifyMarkdown ? 'in the Markdown' : 'visually';
+    
+    return `${action} ${what}${depth}${title} ${where.length ? where.join(' ') : 'everywhere'}, ${mode}`;
+  }
+}
+
+/**
+* DOMCalloutService - Improved version
+* This class handles the DOM manipulation for callouts.
+* Rendered callouts carry `data-start-line`/`data-end-line` attributes with
+* their exact source lines, written by the Live Preview renderer and the
+* Reading view post-processor, so no content matching is needed.
+*/
+class DOMCalloutService {
+  /**
+  * Creates a new DOM callout service
+  * 
+  * @param {HTMLElement} root - The root DOM element containing callouts
+  */
+  constructor(root) {
+    this.root = root;
+  }
+  
+  /**
+  * Get all callout DOM elements in the document
+  * 
+  * @returns {Array<HTMLElement>} Array of callout DOM elements
+  */
+  getAllCalloutElements() {
+    if (!this.root) return [];
+    return Array.from(this.root.querySelectorAll('.callout'));
+  }
+  
+  /**
+  * Get all callout DOM elements that have been correlated with their source lines
+  * 
+  * @returns {Array<HTMLElement>} Array of correlated callout DOM elements
+  */
+  getCorrelatedElements() {
+    return this.getAllCalloutElements().filter(el => el.dataset.startLine !== undefined);
+  }
+  
+  /**
+  * Get the rendered elements of a callout.
+  * A note open in both Live Preview and Reading view renders it more than once.
+  * 
+  * @param {Callout} callout - The callout
+  * @returns {Array<HTMLElement>} The callout's DOM elements
+  */
+  getElementsForCallout(callout) {
+    return this.getCorrelatedElements()
+    .filter(element => parseInt(element.dataset.startLine) === callout.startLine);
+  }
+  
+  /**
+  * Record a callout's exact source position on its DOM element
+  * 
+  * @param {HTMLElement} element - The callout DOM element
+  * @param {Callout} callout - The callout it renders
+  */
+  setCalloutAttributes(element, callout) {
+    element.dataset.startLine = callout.startLine;
+    element.dataset.endLine = callout.endLine;
+    element.dataset.type = callout.type;
+  }
+  
+  /**
+  * Pair callout elements with callouts parsed from the same source.
+  * Elements and callouts are both walked in document order, each top-level
+  * element taking the next top-level callout together with its nested callouts.
+  * 
+  * @param {Array<HTMLElement>} elements - Top-level callout DOM elements
+  * @param {Array<Callout>} callouts - Top-level callouts of the same source
+  * @returns {Array<Object>} Array of { element, callout }
+  */
+  pairElements(elements, callouts) {
+    const pairs = [];
+    const count = Math.min(elements.length, callouts.length);
+    
+    for (let i = 0; i < count; i++) {
+      const renderedElements = [elements[i], ...elements[i].querySelectorAll('.callout')];
+      const renderedCallouts = callouts[i].flatten();
+      const nestedCount = Math.min(renderedElements.length, renderedCallouts.length);
+      
+      for (let j = 0; j < nestedCount; j++) {
+        pairs.push({ element: renderedElements[j], callout: renderedCallouts[j] });
+      }
+    }
+    
+    return pairs;
+  }
+  
+  /**
+  * Check whether a callout is collapsed on screen
+  * 
+  * @param {Callout} callout - The callout
+  * @returns {boolean} Whether its rendered element is collapsed, or its fold marker state if not rendered
+  */
+  isCalloutCollapsed(callout) {
+    const element = this.getElementsForCallout(callout)[0];
+    return element ? element.classList.contains('is-collapsed') : callout.isCollapsed;
+  }
+  
+  /**
+  * Apply collapse/expand state to a callout DOM element
+  * 
+  * @param {HTMLElement} element - The callout DOM element
+  * @param {boolean} collapsed - Whether to collapse the callout
+  */
+  applyCalloutCollapseState(element, collapsed) {
+    if (!element) return;
+    
+    const content = element.querySelector('.callout-content');
+    const foldIcon = element.querySelector('.callout-fold');
+    
+    // Only apply if state is different from current
+    const currentlyCollapsed = element.classList.contains('is-collapsed');
+    if (collapsed !== currentlyCollapsed) {
+      // Toggle collapsed class
+      element.classList.toggle('is-collapsed', collapsed);
+      
+      // Update fold icon
+      if (foldIcon) {
+        foldIcon.classList.toggle('is-collapsed', collapsed);
+      }
+      
+      // Hide/show content
+      if (content) {
+        content.setAttribute('style', collapsed ? 'display: none;' : '');
+      }
+    }
+  }
+  
+  /**
+  * Apply collapse/expand states to the rendered elements of callouts
+  * 
+  * @param {Array<Object>} changes - Array of { callout, collapsed }
+  */
+  applyCollapseStates(changes) {
+    changes.forEach(({ callout, collapsed }) => {
+      this.getElementsForCallout(callout).forEach(element => {
+        this.applyCalloutCollapseState(element, collapsed);
+      });
+    });
+  }
+}
+
+/**
+* Effect that sets visual fold overrides.
+* Value: Array<{ pos: number, collapsed: boolean|null }> keyed by the start of the callout
+* header line; null removes the override.
+*/
+const setVisualFoldEffect = StateEffect.define();
+
+/**
+* Effect that removes all visual fold overrides
+*/
+const clearVisualFoldEffect = StateEffect.define();
+
+/**
+* Annotation for visual fold transactions that must not be saved to plugin data,
+* such as restoring the saved state itself or focus mode's temporary expansions
+*/
+const transientFoldAnnotation = Annotation.define();
+
+/**
+* Move fold entries keyed by header line position through a document change
+* 
+* @param {Map<number, *>} entries - Entries by header line position
+* @param {Transaction} transaction - The transaction that changed the document
+* @returns {Map<number, *>} The entries at their new positions
+*/
+function mapFoldPositions(entries, transaction) {
+  const doc = transaction.newDoc;
+  const next = new Map();
+  entries.forEach((value, pos) => {
+    // Move past text inserted at the start of the header line, then go back to
+    // the start of the line, so inserted or deleted lines around the header
+    // leave the entry on its callout. Entries whose line is no longer a
+    // callout header are dropped.
+    const line = doc.lineAt(transaction.changes.mapPos(pos, 1));
+    if (CONSTANTS.CALLOUT_REGEX.test(line.text)) next.set(line.from, value);
+  });
+  return next;
+}
+
+/**
+* Editor state field holding visual-only fold overrides for the whole document.
+* Maps the position of each overridden callout header line to its collapse state,
+* and follows the headers through document changes.
+* 
+* The field is read by VisualFoldRenderer, which applies it to the rendered
+* callouts rather than through decorations: in Live Preview Obsidian draws each
+* callout as a block widget that replaces its source lines, and CodeMirror does not
+* draw decorations from other extensions inside a replaced range. The fold state
+* of a callout is the `is-collapsed` class of Obsidian's own widget, so the
+* renderer sets it on the widgets that are in the DOM, and the field makes sure
+* widgets created later by scrolling or re-rendering get the same state.
+*/
+const visualFoldField = StateField.define({
+  create() {
+    return new Map();
+  },
+  
+  update(folds, transaction) {
+    let next = transaction.docChanged && folds.size ? mapFoldPositions(folds, transaction) : folds;
+    
+    for (const effect of transaction.effects) {
+      if (effect.is(clearVisualFoldEffect)) {
+        next = new Map();
+      } else if (effect.is(setVisualFoldEffect)) {
+        if (next === folds) next = new Map(folds);
+        effect.value.forEach(({ pos, collapsed }) => {
+          if (collapsed === null) next.delete(pos);
+          else next.set(pos, collapsed);
+        });
+      }
+    }
+    
+    return next;
+  }
+});
+
+/**
+* Editor state field holding, for each override changed by a transient
+* transaction, the override it replaced (null for none). Saving writes these
+* instead, so temporary changes such as focus mode's expansions never reach
+* plugin data, even when another change is saved while they are shown.
+* 
+* An explicit change to a callout drops its entry, and so does a transient
+* change back to the replaced state. Replacing all overrides, as restoring the
+* saved state does, starts over with no entries.
+*/
+const transientFoldBaseField = StateField.define({
+  create() {
+    return new Map();
+  },
+  
+  update(bases, transaction) {
+    if (transaction.effects.some(effect => effect.is(clearVisualFoldEffect))) return new Map();
+    
+    let next = transaction.docChanged && bases.size ? mapFoldPositions(bases, transaction) : bases;
+    const transient = !!transaction.annotation(transientFoldAnnotation);
+    const folds = transaction.startState.field(visualFoldField, false) || new Map();
+    
+    for (const effect of transaction.effects) {
+      if (!effect.is(setVisualFoldEffect)) continue;
+      if (next === bases) next = new Map(bases);
+      
+      effect.value.forEach(({ pos, collapsed }) => {
+        const base = next.has(pos) ? next.get(pos) : (folds.has(pos) ? folds.get(pos) : null);
+        if (!transient || collapsed === base) next.delete(pos);
+        else next.set(pos, base);
+      });
+    }
+    
+    return next;
+  }
+});
+
+/**
+* VisualFoldService reads and writes the visual fold state of an editor
+*/
+class VisualFoldService {
+  /**
+  * Creates a new visual fold service
+  * 
+  * @param {EditorView} view - The CodeMirror editor view
+  */
+  constructor(view) {
+    this.view = view;
+  }
+  
+  /**
+  * Get the visual fold overrides of the editor
+  * 
+  * @returns {Map<number, boolean>} Collapse state by header line position
+  */
+  getFolds() {
+    return this.view.state.field(visualFoldField, false) || new Map();
+  }
+  
+  /**
+  * Get the position of a callout's header line
+  * 
+  * @param {Callout} callout - The callout
+  * @returns {number|null} Document position of the header line, or null if out of range
+  */
+  getHeaderPosition(callout) {
+    const doc = this.view.state.doc;
+    if (callout.startLine >= doc.lines) return null;
+    return doc.line(callout.startLine + 1).from;
+  }
+  
+  /**
+  * Get the visual collapse state of a callout.
+  * Callouts without an override show the state of their fold marker.
+  * 
+  * @param {Callout} callout - The callout
+  * @returns {boolean} Whether the callout is visually collapsed
+  */
+  isCollapsed(callout) {
+    const collapsed = this.getFolds().get(this.getHeaderPosition(callout));
+    return collapsed === undefined ? callout.isCollapsed : collapsed;
+  }
+  
+  /**
+  * Set the visual collapse state of callouts
+  * 
+  * @param {Array<Object>} changes - Array of { callout, collapsed }
+  * @param {Object} options - `transient` keeps the change out of the saved fold state
+  */
+  setCollapsed(changes, options = {}) {
+    const value = changes
+    .map(({ callout, collapsed }) => ({ pos: this.getHeaderPosition(callout), collapsed }))
+    .filter(({ pos }) => pos !== null);
+    
+    if (!value.length) return;
+    this.view.dispatch({
+      effects: setVisualFoldEffect.of(value),
+      annotations: options.transient ? transientFoldAnnotation.of(true) : []
+    });
+  }
+  
+  /**
+  * Get the visual override of a callout
+  * 
+  * @param {Callout} callout - The callout
+  * @returns {boolean|null} The overridden collapse state, or null without an override
+  */
+  getOverride(callout) {
+    const folds = this.getFolds();
+    const pos = this.getHeaderPosition(callout);
+    return folds.has(pos) ? folds.get(pos) : null;
+  }
+  
+  /**
+  * Get the callouts that have a visual override
+  * 
+  * @param {Array<Callout>} callouts - Callouts to check, nested ones included
+  * @returns {Array<Object>} Array of { callout, collapsed }
+  */
+  getOverrides(callouts) {
+    return this.findOverrides(callouts, this.getFolds());
+  }
+  
+  /**
+  * Get the callouts that have a visual override to save, with the overrides
+  * that transient changes replaced instead of the transient ones
+  * 
+  * @param {Array<Callout>} callouts - Callouts to check, nested ones included
+  * @returns {Array<Object>} Array of { callout, collapsed }
+  */
+  getSavedOverrides(callouts) {
+    const folds = new Map(this.getFolds());
+    const bases = this.view.state.field(transientFoldBaseField, false) || new Map();
+    bases.forEach((base, pos) => {
+      if (base === null) folds.delete(pos);
+      else folds.set(pos, base);
+    });
+    return this.findOverrides(callouts, folds);
+  }
+  
+  /**
+  * Pick the callouts that have an entry in a map of overrides
+  * 
+  * @param {Array<Callout>} callouts - Callouts to check
+  * @param {Map<number, boolean>} folds - Overrides by header line position
+  * @returns {Array<Object>} Array of { callout, collapsed }
+  */
+  findOverrides(callouts, folds) {
+    return callouts
+    .filter(callout => folds.has(this.getHeaderPosition(callout)))
+    .map(callout => ({ callout, collapsed: folds.get(this.getHeaderPosition(callout)) }));
+  }
+  
+  /**
+  * Replace all visual overrides in one transaction
+  * 
+  * @param {Array<Object>} changes - Array of { callout, collapsed }
+  * @param {Object} options - `transient` keeps the change out of the saved fold state
+  */
+  replaceAll(changes, options = {}) {
+    const value = changes
+    .map(({ callout, collapsed }) => ({ pos: this.getHeaderPosition(callout), collapsed }))
+    .filter(({ pos }) => pos !== null);
+    
+    this.view.dispatch({
+      effects: [clearVisualFoldEffect.of(null), setVisualFoldEffect.of(value)],
+      annotations: options.transient ? transientFoldAnnotation.of(true) : []
+    });
+  }
+  
+  /**
+  * Remove all visual overrides so callouts show their fold markers again
+  */
+  clear() {
+    this.view.dispatch({ effects: clearVisualFoldEffect.of(null) });
+  }
+  
+  /**
+  * Pair rendered callout elements with the callouts they display.
+  * Each top-level widget is located through its document position, and the
+  * callouts rendered inside it are matched to the nested callouts in order.
+  * 
+  * @param {Array<Callout>} callouts - Top-level callouts of the document
+  * @param {DOMCalloutService} domService - DOM service used for the pairing
+  * @returns {Array<Object>} Array of { element, callout }
+  */
+  getRenderedCallouts(callouts, domService) {
+    const pairs = [];
+    const elements = Array.from(this.view.contentDOM.querySelectorAll('.callout'))
+    .filter(element => !element.parentElement?.closest('.callout'));
+    
+    for (const element of elements) {
+      let line;
+      try {
+        line = this.view.state.doc.lineAt(this.view.posAtDOM(element)).number - 1;
+      } catch (error) {
+        continue; // Element is not part of the document view
+      }
+      
+      const root = callouts.find(callout => callout.containsLine(line)) || 
+      callouts.find(callout => callout.startLine > line);
+      if (!root) continue;
+      
+      pairs.push(...domService.pairElements([element], [root]));
+    }
+    
+    return pairs;
+  }
+  
+  /**
+  * Apply the visual fold state to the rendered callouts and record their exact positions
+  * 
+  * @param {Array<Callout>} callouts - Top-level callouts of the document
+  * @param {DOMCalloutService} domService - DOM service used to change the elements
+  */
+  applyToRenderedCallouts(callouts, domService) {
+    this.getRenderedCallouts(callouts, domService).forEach(({ element, callout }) => {
+      domService.setCalloutAttributes(element, callout);
+      domService.applyCalloutCollapseState(element, this.isCollapsed(callout));
+    });
+  }
+}
+
+/**
+* VisualFoldRenderer is the CodeMirror view plugin that keeps rendered callouts
+* in line with the visual fold state, including callouts that scroll into view
+*/
+class VisualFoldRenderer {
+  /**
+  * Create a new renderer for an editor view
+  * 
+  * @param {EditorView} view - The CodeMirror editor view
+  * @param {CalloutControlPlugin} plugin - The plugin instance
+  */
+  constructor(view, plugin) {
+    this.view = view;
+    this.plugin = plugin;
+    this.scheduleApply();
+  }
+  
+  /**
+  * Re-apply the fold state when the document, viewport or fold state changes
+  * 
+  * @param {ViewUpdate} update - The CodeMirror view update
+  */
+  update(update) {
+    const foldsChanged = update.startState.field(visualFoldField, false) !== 
+      update.state.field(visualFoldField, false);
+    
+    if (update.docChanged || update.viewportChanged || foldsChanged) {
+      this.scheduleApply();
+    }
+    
+    // Persist explicit fold changes, not positions moved by edits or transient changes
+    const foldTransactions = update.transactions.filter(transaction => 
+      transaction.effects.some(effect => 
+        effect.is(setVisualFoldEffect) || effect.is(clearVisualFoldEffect)
+      )
+    );
+    
+    if (foldTransactions.some(transaction => !transaction.annotation(transientFoldAnnotation))) {
+      this.persistFolds();
+    }
+    
+    if (foldTransactions.length) {
+      this.plugin.requestUiRefresh();
+    }
+  }
+  
+  /**
+  * Store the visual fold state of this view's note in plugin data
+  */
+  persistFolds() {
+    try {
+      const file = this.view.state.field(editorInfoField, false)?.file;
+      const index = this.getIndex();
+      if (!file || !index) return;
+      
+      const fingerprints = index.parser.getFingerprints(index.callouts);
+      const overrides = new VisualFoldService(this.view)
+      .getSavedOverrides(index.parser.flattenCallouts(index.callouts));
+      
+      const states = {};
+      overrides.forEach(({ callout, collapsed }) => {
+        states[fingerprints.get(callout)] = collapsed;
+      });
+      
+      this.plugin.visualFoldStore.set(file.path, states);
+      this.plugin.requestSaveSettings();
+    } catch (error) {
+      this.plugin.errorHandler.logError("Error storing visual fold state", error);
+    }
+  }
+  
+  /**
+  * Apply the fold state after CodeMirror has redrawn the DOM
+  */
+  scheduleApply() {
+    this.view.requestMeasure({
+      key: this,
+      read: () => null,
+      write: () => this.apply()
+    });
+  }
+  
+  /**
+  * Apply the fold state to the rendered callouts
+  */
+  apply() {
+    try {
+      const index = this.getIndex();
+      if (!index) return;
+      
+      const foldService = new VisualFoldService(this.view);
+      foldService.applyToRenderedCallouts(index.callouts, new DOMCalloutService(this.view.contentDOM));
+    } catch (error) {
+      this.plugin.errorHandler.logError("Error applying visual fold state", error);
+    }
+  }
+  
+  /**
+  * Get the callout index of the file shown in this view
+  * 
+  * @returns {CalloutIndex|null} The index or null if the view has no file
+  */
+  getIndex() {
+    const file = this.view.state.field(editorInfoField, false)?.file;
+    if (!file) return null;
+    
+    return this.plugin.calloutIndex.getIndexForDoc(
+      file.path,
+      this.view.state.doc,
+      () => this.view.state.doc.toString()
+    );
+  }
+  
+  /**
+  * Record native fold clicks so the visual state does not undo them
+  * 
+  * @param {MouseEvent} event - The click event
+  */
+  handleClick(event) {
+    const title = event.target.closest?.('.callout-title');
+    const element = title?.closest('.callout');
+    if (!element || element.dataset.startLine === undefined) return;
+    
+    // Read the state after Obsidian has toggled the callout
+    window.setTimeout(() => {
+      const index = this.getIndex();
+      if (!index) return;
+      
+      const startLine = parseInt(element.dataset.startLine);
+      const callout = index.parser
+      .flattenCallouts(index.callouts)
+      .find(c => c.startLine === startLine);
+      if (!callout) return;
+      
+      const foldService = new VisualFoldService(this.view);
+      const collapsed = element.classList.contains('is-collapsed');
+      if (foldService.isCollapsed(callout) === collapsed) return;
+      
+      // An expand also collapses the callout's siblings in accordion mode
+      const file = this.view.state.field(editorInfoField, false)?.file || null;
+      const changes = this.plugin.addAccordionChanges(
+        [{ callout, collapsed }],
+        new CalloutMarkdownService(null, index),
+        sibling => foldService.isCollapsed(sibling),
+        file
+      );
+      foldService.setCollapsed(changes);
+    }, 0);
+  }
+  
+  /**
+  * Open the callout menu when the title of a rendered callout is right-clicked
+  * 
+  * @param {MouseEvent} event - The context menu event
+  * @returns {boolean} True if the event was handled
+  */
+  handleContextMenu(event) {
+    const title = event.target.closest?.('.callout-title');
+    const element = title?.closest('.callout');
+    if (!element || element.dataset.startLine === undefined) return false;
+    
+    const index = this.getIndex();
+    if (!index) return false;
+    
+    const startLine = parseInt(element.dataset.startLine);
+    const callout = index.parser
+    .flattenCallouts(index.callouts)
+    .find(c => c.startLine === startLine);
+    if (!callout) return false;
+    
+    event.preventDefault();
+    this.plugin.openCalloutMenu(event, callout);
+    return true;
+  }
+  
+  /**
+  * Release the view reference
+  */
+  destroy() {
+    this.view = null;
+  }
+}
+
+/**
+* CalloutFocusTracker implements focus mode for one editor view: it visually
+* expands the callout the cursor enters and collapses it again when the cursor
+* leaves. It only changes the visual fold state, never the Markdown.
+*/
+class CalloutFocusTracker {
+  /**
+  * Create a new tracker for an editor view
+  * 
+  * @param {EditorView} view - The CodeMirror editor view
+  * @param {CalloutControlPlugin} plugin - The plugin instance
+  */
+  constructor(view, plugin) {
+    this.view = view;
+    this.plugin = plugin;
+    this.timer = null;
+    // Override of each callout focus mode expanded, by fingerprint, to restore it
+    // when the cursor leaves; null if the callout had no override
+    this.expanded = new Map();
+    plugin.focusTrackers.add(this);
+  }
+  
+  /**
+  * Follow the cursor after it moves
+  * 
+  * @param {ViewUpdate} update - The CodeMirror view update
+  */
+  update(update) {
+    if (update.selectionSet && this.plugin.settings.focusMode) {
+      this.schedule();
+    }
+  }
+  
+  /**
+  * Update the focused callouts once the cursor has settled
+  */
+  schedule() {
+    window.clearTimeout(this.timer);
+    this.timer = window.setTimeout(() => this.refresh(), CONSTANTS.FOCUS_DELAY);
+  }
+  
+  /**
+  * Expand the callouts around the cursor and collapse the ones it has left.
+  * With focus mode off, every callout expanded by it is collapsed again.
+  */
+  refresh() {
+    if (!this.view) return;
+    
+    try {
+      const file = this.view.state.field(editorInfoField, false)?.file;
+      if (!file) return;
+      
+      const index = this.plugin.calloutIndex.getIndexForDoc(
+        file.path,
+        this.view.state.doc,
+        () => this.view.state.doc.toString()
+      );
+      if (!index) return;
+      
+      const fingerprints = index.parser.getFingerprints(index.callouts);
+      const focused = this.plugin.settings.focusMode ? this.getFocusedCallouts(index) : [];
+      const focusedKeys = new Set(focused.map(callout => fingerprints.get(callout)));
+      const foldService = new VisualFoldService(this.view);
+      const changes = [];
+      
+      // Restore the callouts the cursor has left, unless they were collapsed since
+      fingerprints.forEach((key, callout) => {
+        if (this.expanded.has(key) && !focusedKeys.has(key)) {
+          if (!foldService.isCollapsed(callout)) changes.push({ callout, collapsed: this.expanded.get(key) });
+          this.expanded.delete(key);
+        }
+      });
+      
+      // Expand the callouts the cursor is in, remembering their overrides
+      focused.forEach(callout => {
+        if (foldService.isCollapsed(callout)) {
+          this.expanded.set(fingerprints.get(callout), foldService.getOverride(callout));
+          changes.push({ callout, collapsed: false });
+        }
+      });
+      
+      // Forget callouts that no longer exist
+      const existing = new Set(fingerprints.values());
+      this.expanded.forEach((override, key) => {
+        if (!existing.has(key)) this.expanded.delete(key);
+      });
+      
+      // Focus changes are temporary, so they are not saved as the note's fold state
+      if (changes.length) foldService.setCollapsed(changes, { transient: true });
+    } catch (error) {
+      this.plugin.errorHandler.logError("Error updating focused callouts", error);
+    }
+  }
+  
+  /**
+  * Get the callout around the cursor, and optionally the callouts it is nested in
+  * 
+  * @param {CalloutIndex} index - The callout index of the view's note
+  * @returns {Array<Callout>} Callouts to keep expanded, outermost first
+  */
+  getFocusedCallouts(index) {
+    const { state } = this.view;
+    const line = state.doc.lineAt(state.selection.main.head).number - 1;
+    const target = index.parser.findCalloutContainingLine(index.callouts, line);
+    if (!target) return [];
+    
+    if (!this.plugin.settings.focusExpandParents) return [target];
+    
+    return index.parser
+    .flattenCallouts(index.callouts)
+    .filter(callout => callout.startLine <= target.startLine && callout.endLine >= target.endLine);
+  }
+  
+  /**
+  * Stop following the cursor and release the view reference
+  */
+  destroy() {
+    window.clearTimeout(this.timer);
+    this.plugin.focusTrackers.delete(this);
+    this.view = null;
+  }
+}
+
+/**
+* VimFoldBindings maps Vim's fold keys to callout operations through the
+* CodeMirror Vim adapter that Obsidian exposes when Vim mode is available
+*/
+class VimFoldBindings {
+  /**
+  * Create the bindings for a plugin
+  * 
+  * @param {CalloutControlPlugin} plugin - The plugin whose operations the keys run
+  */
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.mappedKeys = [];
+  }
+  
+  /**
+  * Get the Vim API of the CodeMirror Vim adapter
+  * 
+  * @returns {Object|null} The Vim API, or null if Vim mode is not available
+  */
+  getVim() {
+    return window.CodeMirrorAdapter?.Vim || null;
+  }
+  
+  /**
+  * Map the fold keys in normal mode, replacing any earlier mapping
+  */
+  register() {
+    this.unregister();
+    
+    const Vim = this.getVim();
+    if (!Vim || this.plugin.settings.vimFoldMode === 'off') return;
+    
+    // Keys, scope, mode, options, and the fold used outside callouts: an Obsidian
+    // command, or for zo and zc the CodeMirror fold function Vim itself uses
+    const bindings = [
+      ['za', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.TOGGLE, {}, 'editor:toggle-fold'],
+      ['zo', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.EXPAND, {}, unfoldCode],
+      ['zc', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.COLLAPSE, {}, foldCode],
+      ['zA', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.TOGGLE, { recursive: true }, 'editor:toggle-fold'],
+      ['zM', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, {}, 'editor:fold-all'],
+      ['zR', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.EXPAND, {}, 'editor:unfold-all']
+    ];
+    
+    bindings.forEach(([keys, scope, mode, options, fallback]) => {
+      const action = `calloutControl-${keys}`;
+      Vim.defineAction(action, () => this.plugin.handleVimFold(scope, mode, options, fallback));
+      Vim.mapCommand(keys, 'action', action, {}, { context: 'normal' });
+      this.mappedKeys.push(keys);
+    });
+  }
+  
+  /**
+  * Remove the mappings, which brings back Vim's own fold keys
+  */
+  unregister() {
+    const Vim = this.getVim();
+    
+    if (Vim) {
+      this.mappedKeys.forEach(keys => {
+        try {
+          Vim.unmap(keys, 'normal');
+        } catch (error) {
+          // Already removed, e.g. by the user's own mappings
+        }
+      });
+    }
+    
+    this.mappedKeys = [];
+  }
+}
+
+/**
+* ErrorHandler manages error reporting and logging
+*/
+class ErrorHandler {
+  /**
+  * Log an error without showing to user
+  * 
+  * @param {string} message - Error message
+  * @param {Error} error - Error object
+  */
+  logError(message, error) {
+    console.error(`Callout Control: ${message}`, error);
+  }
+  
+  /**
+  * Handle an error with user notification
+  * 
+  * @param {string} message - Error message
+  * @param {Error} error - Error object
+  * @param {string} userMessage - Message to show to the user
+  */
+  handleError(message, error, userMessage) {
+    // Log error
+    this.logError(message, error);
+    
+    // Show notification if available
+    if (window.activeWindow) {
+      const notice = new Notice(`Callout Control: ${userMessage}`);
+    }
+  }
+}
+
+/**
+* CalloutMutationObserver watches the active leaf for callouts being
+* re-rendered and triggers a single, debounced re-sync for each batch
+*/
+class CalloutMutationObserver {
+  /**
+  * Create an idle observer
+  */
+  constructor() {
+    this.observer = null;
+    this.timer = null;
+    this.onResync = null;
+  }
+  
+  /**
+  * Start observing a root element, replacing any previous observation
+  * 
+  * @param {HTMLElement} root - The element to observe
+  * @param {Function} onResync - Called once callouts have been re-rendered
+  */
+  observe(root, onResync) {
+    this.disconnect();
+    
+    this.onResync = onResync;
+    this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+    
+    // Re-renders replace nodes; attribute changes (including our own) are not observed
+    this.observer.observe(root, {
+      childList: true,
+      subtree: true
+    });
+  }
+  
+  /**
+  * Schedule a re-sync if any callouts were added to the DOM
+  * 
+  * @param {Array<MutationRecord>} mutations - The observed mutations
+  */
+  handleMutations(mutations) {
+    if (mutations.some(mutation => this.addsCallouts(mutation))) {
+      this.scheduleResync();
+    }
+  }
+  
+  /**
+  * Check whether a mutation added a callout element
+  * 
+  * @param {MutationRecord} mutation - The mutation to check
+  * @returns {boolean} True if a callout was added
+  */
+  addsCallouts(mutation) {
+    return Array.from(mutation.addedNodes).some(node => 
+      node.nodeType === Node.ELEMENT_NODE && 
+      (node.matches('.callout') || node.querySelector('.callout') !== null)
+    );
+  }
+  
+  /**
+  * Debounce re-syncs so a burst of re-renders is handled once
+  */
+  scheduleResync() {
+    window.clearTimeout(this.timer);
+    this.timer = window.setTimeout(() => this.resync(), CONSTANTS.RESYNC_DELAY);
+  }
+  
+  /**
+  * Run the re-sync and drop the mutations it caused itself
+  */
+  resync() {
+    this.timer = null;
+    if (!this.onResync) return;
+    
+    try {
+      this.onResync();
+    } finally {
+      this.observer?.takeRecords();
+    }
+  }
+  
+  /**
+  * Stop observing and cancel any pending re-sync
+  */
+  disconnect() {
+    window.clearTimeout(this.timer);
+    this.timer = null;
+    this.onResync = null;
+    
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+}
+
+/**
+* VisualFoldStore keeps the persisted visual fold state of every note,
+* keyed by file path and callout fingerprint
+*/
+class VisualFoldStore {
+  /**
+  * Create an empty store
+  */
+  constructor() {
+    this.folds = {};
+  }
+  
+  /**
+  * Load stored fold state
+  * 
+  * @param {Object} data - Fold state loaded from storage
+  */
+  load(data) {
+    if (data && typeof data === 'object') {
+      this.folds = { ...data };
+    }
+  }
+  
+  /**
+  * Get the stored fold state of a note
+  * 
+  * @param {string} path - The file path
+  * @returns {Object|null} Collapse state by callout fingerprint, or null
+  */
+  get(path) {
+    return this.folds[path] || null;
+  }
+  
+  /**
+  * Replace the stored fold state of a note
+  * 
+  * @param {string} path - The file path
+  * @param {Object} states - Collapse state by callout fingerprint
+  */
+  set(path, states) {
+    if (Object.keys(states).length) {
+      this.folds[path] = states;
+    } else {
+      delete this.folds[path];
+    }
+  }
+  
+  /**
+  * Move the stored fold state when a note is renamed
+  * 
+  * @param {string} oldPath - The previous file path
+  * @param {string} newPath - The new file path
+  * @returns {boolean} True if anything was stored for the note
+  */
+  rename(oldPath, newPath) {
+    if (!this.folds[oldPath]) return false;
+    this.folds[newPath] = this.folds[oldPath];
+    delete this.folds[oldPath];
+    return true;
+  }
+  
+  /**
+  * Forget the stored fold state of a deleted note
+  * 
+  * @param {string} path - The file path
+  * @returns {boolean} True if anything was stored for the note
+  */
+  remove(path) {
+    if (!this.folds[path]) return false;
+    delete this.folds[path];
+    return true;
+  }
+  
+  /**
+  * Create a plain object representation for storage
+  * 
+  * @returns {Object} Plain object for storage
+  */
+  toObject() {
+    return { ...this.folds };
+  }
+}
+
+/**
+* VisualFoldHistory keeps undo and redo stacks of visual fold snapshots.
+* Stacks are kept per leaf and note; they are held weakly by the leaf, so
+* the history lasts until the leaf is closed.
+*/
+class VisualFoldHistory {
+  /**
+  * Create an empty history
+  * 
+  * @param {number} limit - Maximum number of snapshots kept per stack
+  */
+  constructor(limit = CONSTANTS.MAX_FOLD_HISTORY) {
+    this.limit = limit;
+    this.leaves = new WeakMap();
+  }
+  
+  /**
+  * Get the stacks of a note in a leaf, creating them if needed
+  * 
+  * @param {WorkspaceLeaf} leaf - The leaf showing the note
+  * @param {string} path - Path of the note
+  * @returns {Object} The { undo, redo } stacks
+  */
+  getStacks(leaf, path) {
+    if (!this.leaves.has(leaf)) this.leaves.set(leaf, new Map());
+    
+    const notes = this.leaves.get(leaf);
+    if (!notes.has(path)) notes.set(path, { undo: [], redo: [] });
+    return notes.get(path);
+  }
+  
+  /**
+  * Record the state before a change; a new change clears the redo stack
+  * 
+  * @param {WorkspaceLeaf} leaf - The leaf showing the note
+  * @param {string} path - Path of the note
+  * @param {Object} snapshot - Fold state before the change
+  */
+  record(leaf, path, snapshot) {
+    const stacks = this.getStacks(leaf, path);
+    stacks.undo.push(snapshot);
+    if (stacks.undo.length > this.limit) stacks.undo.shift();
+    stacks.redo = [];
+  }
+  
+  /**
+  * Step back in the history
+  * 
+  * @param {WorkspaceLeaf} leaf - The leaf showing the note
+  * @param {string} path - Path of the note
+  * @param {Object} current - The current fold state, kept for redo
+  * @returns {Object|null} The snapshot to restore, or null if there is none
+  */
+  undo(leaf, path, current) {
+    const stacks = this.getStacks(leaf, path);
+    if (!stacks.undo.length) return null;
+    
+    stacks.redo.push(current);
+    return stacks.undo.pop();
+  }
+  
+  /**
+  * Step forward in the history
+  * 
+  * @param {WorkspaceLeaf} leaf - The leaf showing the note
+  * @param {string} path - Path of the note
+  * @param {Object} current - The current fold state, kept for undo
+  * @returns {Object|null} The snapshot to restore, or null if there is none
+  */
+  redo(leaf, path, current) {
+    const stacks = this.getStacks(leaf, path);
+    if (!stacks.redo.length) return null;
+    
+    stacks.undo.push(current);
+    return stacks.redo.pop();
+  }
+}
+
+/**
+* PluginSettings class encapsulates the settings for the plugin
+*/
+class PluginSettings {
+  /**
+  * Create a new settings object with default values
+  */
+  constructor() {
+    this.commands = {};
+    this.groupsEnabled = {
+      all: true,
+      current: true,
+      section: true,
+      selection: true,
+      type: true,
+      subtree: true,
+      parent: true,
+      heading: true,
+      vault: true,
+      history: true,
+      sync: true,
+      navigate: true
+    };
+    this.pinnedTypes = [];
+    this.expandOnNavigate = false;
+    this.showStatusBar = true;
+    this.vimFoldMode = 'visual';
+    this.accordionMode = false;
+    this.focusMode = false;
+    this.focusExpandParents = true;
+    this.revealOnNavigate = 'visual';
+    this.foldRules = [];
+  }
+  
+  /**
+  * Merge default settings with loaded settings
+  * 
+  * @param {Object} loadedSettings - Settings loaded from storage
+  * @returns {PluginSettings} The merged settings
+  */
+  merge(loadedSettings) {
+    if (!loadedSettings) return this;
+    
+    // Merge command settings
+    if (loadedSettings.commands) {
+      this.commands = { ...this.commands, ...loadedSettings.commands };
+    }
+    
+    // Merge group settings
+    if (loadedSettings.groupsEnabled) {
+      this.groupsEnabled = { ...this.groupsEnabled, ...loadedSettings.groupsEnabled };
+    }
+    
+    // Merge pinned callout types
+    if (Array.isArray(loadedSettings.pinnedTypes)) {
+      this.pinnedTypes = [...loadedSettings.pinnedTypes];
+    }
+    
+    // Merge navigation settings
+    if (typeof loadedSettings.expandOnNavigate === 'boolean') {
+      this.expandOnNavigate = loadedSettings.expandOnNavigate;
+    }
+    
+    // Merge focus mode settings
+    if (typeof loadedSettings.focusMode === 'boolean') {
+      this.focusMode = loadedSettings.focusMode;
+    }
+    if (typeof loadedSettings.focusExpandParents === 'boolean') {
+      this.focusExpandParents = loadedSettings.focusExpandParents;
+    }
+    
+    // Merge display settings
+    if (typeof loadedSettings.showStatusBar === 'boolean') {
+      this.showStatusBar = loadedSettings.showStatusBar;
+    }
+    
+    // Merge default fold rules
+    if (Array.isArray(loadedSettings.foldRules)) {
+      this.foldRules = loadedSettings.foldRules.map(rule => ({ ...CONSTANTS.DEFAULT_FOLD_RULE, ...rule }));
+    }
+    
+    // Merge link target setting
+    if (['visual', 'markdown', 'off'].includes(loadedSettings.revealOnNavigate)) {
+      this.revealOnNavigate = loadedSettings.revealOnNavigate;
+    }
+    
+    // Merge accordion setting
+    if (typeof loadedSettings.accordionMode === 'boolean') {
+      this.accordionMode = loadedSettings.accordionMode;
+    }
+    
+    // Merge Vim settings
+    if (['visual', 'markdown', 'off'].includes(loadedSettings.vimFoldMode)) {
+      this.vimFoldMode = loadedSettings.vimFoldMode;
+    }
+    
+    return this;
+  }
+  
+  /**
+  * Check if a command is enabled
+  * 
+  * @param {string} commandId - The command ID to check
+  * @returns {boolean} Whether the command is enabled
+  */
+  isCommandEnabled(commandId) {
+    return this.commands[commandId] !== false; // Default to enabled if not set
+  }
+  
+  /**
+  * Enable or disable a command
+  * 
+  * @param {string} commandId - The command ID to update
+  * @param {boolean} enabled - Whether to enable the command
+  */
+  setCommandEnabled(commandId, enabled) {
+    this.commands[commandId] = enabled;
+  }
+  
+  /**
+  * Enable or disable all commands in a group
+  * 
+  * @param {string} group - The group to update ('all', 'current', 'section', 'selection')
+  * @param {boolean} enabled - Whether to enable the group
+  * @param {Array<CalloutCommand>} commands - All commands to update
+  */
+  setGroupEnabled(group, enabled, commands) {
+    this.groupsEnabled[group] = enabled;
+    
+    // Update all commands in this group
+    commands.forEach(cmd => {
+      if (cmd.scope === group) {
+        this.setCommandEnabled(cmd.id, enabled);
+      }
+    });
+  }
+  
+  /**
+  * Create a plain object representation for storage
+  * 
+  * @returns {Object} Plain object for storage
+  */
+  toObject() {
+    return {
+      commands: { ...this.commands },
+      groupsEnabled: { ...this.groupsEnabled },
+      pinnedTypes: [...this.pinnedTypes],
+      expandOnNavigate: this.expandOnNavigate,
+      showStatusBar: this.showStatusBar,
+      vimFoldMode: this.vimFoldMode,
+      accordionMode: this.accordionMode,
+      focusMode: this.focusMode,
+      focusExpandParents: this.focusExpandParents,
+      revealOnNavigate: this.revealOnNavigate,
+      foldRules: this.foldRules.map(rule => ({ ...rule }))
+    };
+  }
+}
+
+/**
+* CommandRegistry manages the plugin's available commands
+*/
+class CommandRegistry {
+  /**
+  * Create a new command registry
+  * 
+  * @param {Plugin} plugin - The Obsidian plugin instance
+  * @param {PluginSettings} settings - The plugin settings
+  */
+  constructor(plugin, settings) {
+    this.plugin = plugin;
+    this.settings = settings;
+    this.commands = [];
+    this.tableCommands = [];
+    this.registeredIds = [];
+  }
+  
+  /**
+  * Initialize the command registry with the provided command table
+  * 
+  * @param {Array} commandTable - Table of command definitions
+  * @returns {CommandRegistry} This registry instance for chaining
+  */
+  initializeFromTable(commandTable) {
+    this.tableCommands = commandTable.map(([id, name, scope, mode, modifyMarkdown, options]) => 
+      new CalloutCommand(id, name, scope, mode, modifyMarkdown, options)
+  );
+  this.commands = [...this.tableCommands, ...this.createPinnedTypeCommands()];
+  return this;
+}
+
+/**
+* Create the commands for the callout types pinned in the settings
+* 
+* @returns {Array<CalloutCommand>} Toggle/collapse/expand/flip commands for each pinned type
+*/
+createPinnedTypeCommands() {
+  const modes = [
+    ['toggle', 'Toggle', CONSTANTS.MODES.TOGGLE],
+    ['collapse', 'Collapse', CONSTANTS.MODES.COLLAPSE],
+    ['expand', 'Expand', CONSTANTS.MODES.EXPAND],
+    ['flip', 'Flip', CONSTANTS.MODES.TOGGLE_INDIVIDUAL]
+  ];
+  
+  return this.settings.pinnedTypes.flatMap(type => [true, false].flatMap(modifyMarkdown => 
+    modes.map(([idPrefix, label, mode]) => new CalloutCommand(
+      `${idPrefix}-type-${type}-${modifyMarkdown ? 'markdown' : 'visual'}`,
+      `${label} All [!${type}]${modifyMarkdown ? '' : ' (Visual)'}`,
+      CONSTANTS.SCOPES.TYPE,
+      mode,
+      modifyMarkdown,
+      { types: [type] }
+    ))
+  ));
+}
+
+/**
+* Rebuild the pinned type commands after the pinned types changed
+*/
+refreshPinnedTypeCommands() {
+  this.commands = [...this.tableCommands, ...this.createPinnedTypeCommands()];
+}
+
+/**
+* Register all enabled commands
+* 
+* @param {Function} operationHandler - Function to handle command operations
+*/
+registerCommands(operationHandler) {
+  // Clear any previously registered commands
+  this.unregisterAllCommands();
+  
+  // Register each enabled command
+  this.commands.forEach(command => {
+    if (this.settings.isCommandEnabled(command.id)) {
+      this.registeredIds.push(command.id);
+      
+      this.plugin.addCommand({
+        id: command.id,  // <-- Use command.id directly without the plugin prefix
+        name: command.name,
+        callback: () => command.execute(operationHandler)
+      });
+    }
+  });
+}
+
+/**
+* Unregister all previously registered commands
+*/
+unregisterAllCommands() {
+  this.registeredIds.forEach(id => {
+    this.plugin.removeCommand(id);
+  });
+  this.registeredIds = [];
+}
+
+/**
+* Get all commands with a specific scope
+* 
+* @param {string} scope - The scope to filter by
+* @returns {Array<CalloutCommand>} Commands with the given scope
+*/
+getCommandsByScope(scope) {
+  return this.commands.filter(cmd => cmd.scope === scope);
+}
+
+/**
+* Get all command scopes
+* 
+* @returns {Array<string>} Array of unique scopes
+*/
+getAllScopes() {
+  return [...new Set(this.commands.map(cmd => cmd.scope))];
+}
+}
+
+/**
+* Fuzzy picker listing the callout types of the current note with their counts
+*/
+class CalloutTypeSuggestModal extends FuzzySuggestModal {
+  /**
+  * Create a new type picker
+  * 
+  * @param {App} app - The Obsidian application instance
+  * @param {Array<Object>} items - Array of { type, count, scope }
+  * @param {Function} onChoose - Called with the chosen item
+  */
+  constructor(app, items, onChoose) {
+    super(app);
+    this.items = items;
+    this.onChoose = onChoose;
+    this.setPlaceholder('Choose a callout type');
+  }
+  
+  /**
+  * Get the items to choose from
+  * 
+  * @returns {Array<Object>} The type items
+  */
+  getItems() {
+    return this.items;
+  }
+  
+  /**
+  * Get the text shown and matched for an item
+  * 
+  * @param {Object} item - The type item
+  * @returns {string} Display text
+  */
+  getItemText(item) {
+    const where = item.scope === CONSTANTS.SCOPES.SECTION ? 'in this section' : 'in note';
+    return `${item.type} · ${item.count} ${where}`;
+  }
+  
+  /**
+  * Handle the chosen item
+  * 
+  * @param {Object} item - The chosen type item
+  */
+  onChooseItem(item) {
+    this.onChoose(item);
+  }
+}
+
+/**
+* Sidebar view listing the callouts of the active note as a tree.
+* Entries jump to their callout and have inline buttons to collapse or
+* expand it visually or in the Markdown; the list can be filtered by type
+* and searched by title.
+*/
+class CalloutOutlineView extends ItemView {
+  /**
+  * Create a new outline view
+  * 
+  * @param {WorkspaceLeaf} leaf - The leaf the view lives in
+  * @param {CalloutControlPlugin} plugin - The plugin instance
+  */
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+    this.query = '';
+    this.typeFilter = '';
+  }
+  
+  /**
+  * @returns {string} The view type
+  */
+  getViewType() {
+    return CONSTANTS.OUTLINE_VIEW_TYPE;
+  }
+  
+  /**
+  * @returns {string} The view title
+  */
+  getDisplayText() {
+    return 'Callout outline';
+  }
+  
+  /**
+  * @returns {string} The view icon
+  */
+  getIcon() {
+    return 'list-tree';
+  }
+  
+  /**
+  * Build the search and filter controls and the first list
+  */
+  async onOpen() {
+    const container = this.containerEl.children[1];
+    container.empty();
+    this.addStyles(container);
+    
+    const controls = container.createDiv({ cls: 'callout-control-outline-controls' });
+    
+    const search = controls.createEl('input', { type: 'search', placeholder: 'Search callouts…' });
+    search.addEventListener('input', () => {
+      this.query = search.value.trim().toLowerCase();
+      this.refresh();
+    });
+    
+    this.typeSelect = controls.createEl('select', { cls: 'dropdown' });
+    this.typeSelect.addEventListener('change', () => {
+      this.typeFilter = this.typeSelect.value;
+      this.refresh();
+    });
+    
+    this.listEl = container.createDiv({ cls: 'callout-control-outline-list' });
+    this.refresh();
+  }
+  
+  /**
+  * Add CSS for the outline
+  * 
+  * @param {HTMLElement} container - The view content element
+  */
+  addStyles(container) {
+    const style = document.createElement('style');
+    style.textContent = `
+      .callout-control-outline-controls {
+        display: flex;
+        gap: 0.5em;
+        margin-bottom: 0.5em;
+      }
+      .callout-control-outline-controls input {
+        flex: 1;
+        min-width: 0;
+      }
+      .callout-control-outline-entry {
+        display: flex;
+        align-items: center;
+        gap: 0.3em;
+        padding: 2px 4px;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+      .callout-control-outline-entry:hover {
+        background-color: var(--background-modifier-hover);
+      }
+      .callout-control-outline-title {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      .callout-control-outline-entry.is-collapsed .callout-control-outline-title {
+        color: var(--text-muted);
+      }
+      .callout-control-outline-children {
+        margin-left: 1.2em;
+      }
+      .callout-control-outline-empty {
+        color: var(--text-muted);
+        padding: 0.5em;
+      }
+    `;
+    container.appendChild(style);
+  }
+  
+  /**
+  * Rebuild the list from the active note
+  */
+  refresh() {
+    if (!this.listEl) return;
+    this.listEl.empty();
+    
+    const services = this.plugin.getServices();
+    if (!services) {
+      this.listEl.createDiv({ cls: 'callout-control-outline-empty', text: 'No note is open.' });
+      return;
+    }
+    
+    const { markdownService, domService, foldService } = services;
+    const roots = markdownService.detectAllCallouts();
+    const callouts = markdownService.parser.flattenCallouts(roots);
+    
+    this.updateTypeOptions(callouts);
+    
+    const isCollapsed = (callout) => foldService ? foldService.isCollapsed(callout) : domService.isCalloutCollapsed(callout);
+    const shown = roots.filter(callout => this.isShown(callout));
+    
+    if (!shown.length) {
+      this.listEl.createDiv({ 
+        cls: 'callout-control-outline-empty', 
+        text: callouts.length ? 'No callouts match.' : 'No callouts in this note.' 
+      });
+      return;
+    }
+    
+    shown.forEach(callout => this.renderEntry(this.listEl, callout, isCollapsed));
+  }
+  
+  /**
+  * Refill the type filter with the types of the note, keeping the selection
+  * 
+  * @param {Array<Callout>} callouts - All callouts of the note
+  */
+  updateTypeOptions(callouts) {
+    const types = [...new Set(callouts.map(callout => callout.type.toLowerCase()))].sort();
+    if (this.typeFilter && !types.includes(this.typeFilter)) types.push(this.typeFilter);
+    
+    this.typeSelect.empty();
+    this.typeSelect.createEl('option', { text: 'All types', value: '' });
+    types.forEach(type => this.typeSelect.createEl('option', { text: type, value: type }));
+    this.typeSelect.value = this.typeFilter;
+  }
+  
+  /**
+  * Check if a callout matches the search and type filter
+  * 
+  * @param {Callout} callout - The callout to check
+  * @returns {boolean} True if the callout matches
+  */
+  matches(callout) {
+    if (this.typeFilter && callout.type.toLowerCase() !== this.typeFilter) return false;
+    if (!this.query) return true;
+    return `${callout.type} ${callout.title}`.toLowerCase().includes(this.query);
+  }
+  
+  /**
+  * Check if a callout is listed: it matches, or one of its nested callouts does
+  * 
+  * @param {Callout} callout - The callout to check
+  * @returns {boolean} True if the callout is listed
+  */
+  isShown(callout) {
+    return this.matches(callout) || callout.nestedCallouts.some(nested => this.isShown(nested));
+  }
+  
+  /**
+  * Render one callout and its listed nested callouts
+  * 
+  * @param {HTMLElement} parentEl - Element to render into
+  * @param {Callout} callout - The callout to render
+  * @param {Function} isCollapsed - Returns whether a callout is shown collapsed
+  */
+  renderEntry(parentEl, callout, isCollapsed) {
+    const collapsed = isCollapsed(callout);
+    const entry = parentEl.createDiv({ cls: 'callout-control-outline-entry' });
+    entry.toggleClass('is-collapsed', collapsed);
+    
+    setIcon(entry.createSpan(), collapsed ? 'chevron-right' : 'chevron-down');
+    setIcon(entry.createSpan(), CONSTANTS.CALLOUT_ICONS[callout.type.toLowerCase()] || 'pencil');
+    entry.createSpan({ 
+      cls: 'callout-control-outline-title', 
+      text: callout.title || callout.type.charAt(0).toUpperCase() + callout.type.slice(1) 
+    });
+    
+    this.addEntryButton(entry, collapsed ? 'eye' : 'eye-off', collapsed ? 'Expand (Visual)' : 'Collapse (Visual)', 
+      () => this.plugin.setCalloutCollapsed(callout, !collapsed, false));
+    this.addEntryButton(entry, 'file-pen', collapsed ? 'Expand in Markdown' : 'Collapse in Markdown', 
+      () => this.plugin.setCalloutCollapsed(callout, !collapsed, true));
+    
+    entry.addEventListener('click', () => this.plugin.goToCallout(callout));
+    
+    const nested = callout.nestedCallouts.filter(child => this.isShown(child));
+    if (nested.length) {
+      const children = parentEl.createDiv({ cls: 'callout-control-outline-children' });
+      nested.forEach(child => this.renderEntry(children, child, isCollapsed));
+    }
+  }
+  
+  /**
+  * Add an inline icon button to an entry
+  * 
+  * @param {HTMLElement} entry - The entry element
+  * @param {string} icon - Icon name
+  * @param {string} label - Tooltip
+  * @param {Function} onClick - Click handler
+  */
+  addEntryButton(entry, icon, label, onClick) {
+    const button = entry.createSpan({ cls: 'clickable-icon', attr: { 'aria-label': label } });
+    setIcon(button, icon);
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+  }
+}
+
+/**
+* Fuzzy picker listing the headings of the current note with their callout counts
+*/
+class HeadingSuggestModal extends FuzzySuggestModal {
+  /**
+  * Create a new heading picker
+  * 
+  * @param {App} app - The Obsidian application instance
+  * @param {Array<Object>} items - Array of { line, level, text, count }
+  * @param {Function} onChoose - Called with the chosen item
+  */
+  constructor(app, items, onChoose) {
+    super(app);
+    this.items = items;
+    this.onChoose = onChoose;
+    this.setPlaceholder('Choose a heading');
+  }
+  
+  /**
+  * Get the items to choose from
+  * 
+  * @returns {Array<Object>} The heading items
+  */
+  getItems() {
+    return this.items;
+  }
+  
+  /**
+  * Get the text shown and matched for an item, indented by heading level
+  * 
+  * @param {Object} item - The heading item
+  * @returns {string} Display text
+  */
+  getItemText(item) {
+    const indent = '\u00a0\u00a0'.repeat(item.level - 1);
+    const callouts = item.count === 1 ? 'callout' : 'callouts';
+    return `${indent}${item.text || '(untitled)'} · ${item.count} ${callouts}`;
+  }
+  
+  /**
+  * Handle the chosen item
+  * 
+  * @param {Object} item - The chosen heading item
+  */
+  onChooseItem(item) {
+    this.onChoose(item);
+  }
+}
+
+/**
+* Modal for folding callouts in many notes at once, with a dry-run preview
+*/
+class BatchFoldModal extends Modal {
+  /**
+  * Create a new batch modal
+  * 
+  * @param {App} app - The Obsidian application instance
+  * @param {BatchFoldService} batchService - Service that previews and applies the changes
+  * @param {ErrorHandler} errorHandler - Reports a failed preview or apply
+  * @param {Object} defaults - Initial { mode, kind, path, tag, query, types }
+  */
+  constructor(app, batchService, errorHandler, defaults = {}) {
+    super(app);
+    this.batchService = batchService;
+    this.errorHandler = errorHandler;
+    this.mode = defaults.mode || CONSTANTS.MODES.COLLAPSE;
+    this.kind = defaults.kind || 'folder';
+    this.path = defaults.path || '';
+    this.tag = defaults.tag || '';
+    this.query = defaults.query || batchService.getSearchQuery();
+    this.types = defaults.types || '';
+    this.preview = null;
+  }
+  
+  /**
+  * Build the form
+  */
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h2', { text: 'Fold callouts in multiple notes' });
+    
+    new Setting(contentEl)
+    .setName('Notes')
+    .addDropdown(dropdown => dropdown
+      .addOption('folder', 'In folder')
+      .addOption('tag', 'With tag')
+      .addOption('search', 'In search results')
+      .setValue(this.kind)
+      .onChange(value => {
+        this.kind = value;
+        this.onOpen();
+      })
+    );
+    
+    if (this.kind === 'folder') {
+      new Setting(contentEl)
+      .setName('Folder')
+      .setDesc('Includes subfolders. Leave empty for the whole vault.')
+      .addText(text => text
+        .setPlaceholder('Courses')
+        .setValue(this.path)
+        .onChange(value => {
+          this.path = value;
+          this.clearPreview();
+        })
+      );
+    } else if (this.kind === 'tag') {
+      new Setting(contentEl)
+      .setName('Tag')
+      .setDesc('Includes nested tags.')
+      .addText(text => text
+        .setPlaceholder('#course')
+        .setValue(this.tag)
+        .onChange(value => {
+          this.tag = value;
+          this.clearPreview();
+        })
+      );
+    } else if (this.kind === 'search') {
+      new Setting(contentEl)
+      .setName('Search text')
+      .setDesc('Used if the results of the search pane can\'t be read: notes whose path or content contains every word.')
+      .addText(text => text
+        .setValue(this.query)
+        .onChange(value => {
+          this.query = value;
+          this.clearPreview();
+        })
+      );
+    }
+    
+    new Setting(contentEl)
+    .setName('Action')
+    .addDropdown(dropdown => dropdown
+      .addOption(CONSTANTS.MODES.COLLAPSE, 'Collapse')
+      .addOption(CONSTANTS.MODES.EXPAND, 'Expand')
+      .addOption(CONSTANTS.MODES.TOGGLE_INDIVIDUAL, 'Flip')
+      .setValue(this.mode)
+      .onChange(value => {
+        this.mode = value;
+        this.clearPreview();
+      })
+    );
+    
+    new Setting(contentEl)
+    .setName('Callout types')
+    .setDesc('Comma-separated. Leave empty for all callouts.')
+    .addText(text => text
+      .setPlaceholder('solution, answer')
+      .setValue(this.types)
+      .onChange(value => {
+        this.types = value;
+        this.clearPreview();
+      })
+    );
+    
+    this.resultsEl = contentEl.createDiv({ cls: 'callout-control-batch-results' });
+    this.resultsEl.style.maxHeight = '40vh';
+    this.resultsEl.style.overflowY = 'auto';
+    
+    new Setting(contentEl)
+    .addButton(button => button
+      .setButtonText('Preview')
+      .onClick(() => this.runPreview())
+    )
+    .addButton(button => {
+      this.applyButton = button;
+      button
+      .setButtonText('Apply')
+      .setCta()
+      .setDisabled(true)
+      .onClick(() => this.runApply());
+    });
+  }
+  
+  /**
+  * Get the callout types entered in the form
+  * 
+  * @returns {Array<string>|null} The types, or null for all callouts
+  */
+  getTypes() {
+    const types = this.types.split(',').map(type => type.trim()).filter(Boolean);
+    return types.length ? types : null;
+  }
+  
+  /**
+  * Forget the preview after the form changed, so Apply matches what was shown
+  */
+  clearPreview() {
+    this.preview = null;
+    if (this.resultsEl) this.resultsEl.empty();
+    if (this.applyButton) this.applyButton.setDisabled(true);
+  }
+  
+  /**
+  * Run the dry run and show its summary
+  */
+  async runPreview() {
+    this.clearPreview();
+    
+    let files;
+    try {
+      files = await this.batchService.getFiles({ kind: this.kind, path: this.path, tag: this.tag, query: this.query });
+      this.preview = await this.batchService.preview(files, this.mode, this.getTypes());
+    } catch (error) {
+      this.errorHandler.handleError("Failed to preview batch fold", error, "Could not preview the changes, see the console for details");
+      return;
+    }
+    
+    const { resultsEl } = this;
+    resultsEl.empty();
+    
+    if (this.preview.failed.length) {
+      resultsEl.createEl('p', { text: `${this.preview.failed.length} notes could not be read and are skipped.` });
+    }
+    
+    if (!this.preview.calloutCount) {
+      resultsEl.createEl('p', { text: `No fold markers to change in ${files.length} notes.` });
+      this.applyButton.setDisabled(true);
+      return;
+    }
+    
+    resultsEl.createEl('p', { 
+      text: `${this.preview.calloutCount} callouts in ${this.preview.files.length} of ${files.length} notes will change.` 
+    });
+    
+    const listEl = resultsEl.createEl('ul');
+    this.preview.files.forEach(({ file, changes }) => {
+      const fileEl = listEl.createEl('li', { text: file.path });
+      const changesEl = fileEl.createEl('ul');
+      changes.forEach(({ callout, before, after }) => {
+        changesEl.createEl('li', { 
+          text: `Line ${callout.startLine + 1}: [!${callout.type}]${before} → [!${callout.type}]${after} ${callout.title}` 
+        });
+      });
+    });
+    
+    this.applyButton.setDisabled(false);
+  }
+  
+  /**
+  * Apply the previewed operation and report the result
+  */
+  async runApply() {
+    if (!this.preview) return;
+    
+    this.applyButton.setDisabled(true);
+    
+    let result;
+    try {
+      result = await this.batchService.apply(this.preview, this.mode, this.getTypes());
+    } catch (error) {
+      this.errorHandler.handleError("Failed to apply batch fold", error, "Could not apply the changes, see the console for details");
+      this.applyButton.setDisabled(false);
+      return;
+    }
+    
+    new Notice(`Updated ${result.calloutCount} callouts in ${result.fileCount} notes`);
+    if (result.failed.length) {
+      new Notice(`Callout Control: Could not update ${result.failed.length} notes, see the console for details`);
+    }
+    
+    this.close();
+  }
+  
+  /**
+  * Clean up the modal content
+  */
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/**
+* Settings tab for the Callout Control plugin
+*/
+class CalloutControlSettingsTab extends PluginSettingTab {
+  /**
+  * Create a new settings tab
+  * 
+  * @param {App} app - The Obsidian application instance
+  * @param {CalloutControlPlugin} plugin - The plugin instance
+  */
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+  
+  /**
+  * Display the settings UI
+  */
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+    
+    // Add styling for group containers
+    this.addGroupContainerStyles();
+    
+    // Add settings that are not tied to a command group
+    this.addGeneralSettings();
+    
+    // Add the editor for default fold rules
+    this.addFoldRuleSettings();
+    
+    // Add settings header and description
+    this.addHeaderAndDescription();
+    
+    // Group commands by scope for display
+    const groupedCommands = this.groupCommandsByScope();
+    
+    // Render settings for each command group
+    this.renderGroupSettings(groupedCommands);
+  }
+  
+  /**
+  * Add CSS styling for group containers
+  */
+  addGroupContainerStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .callout-control-group {
+        margin-bottom: 2em;
+        padding: 0.5em 1em;
+        border: 1px solid var(--background-modifier-border);
+        border-radius: 6px;
+      }
+      .callout-control-group h3 {
+        margin-top: 0;
+      }
+      .callout-control-description {
+        margin-bottom: 1em;
+        color: var(--text-muted);
+        font-size: 0.9em;
+      }
+      .callout-control-rule {
+        margin-bottom: 1em;
+        padding-top: 0.5em;
+        border-top: 1px solid var(--background-modifier-border);
+      }
+    `;
+    this.containerEl.appendChild(style);
+  }
+  
+  /**
+  * Add settings for what the plugin shows outside the command palette
+  * and how it reacts to folding
+  */
+  addGeneralSettings() {
+    this.containerEl.createEl('h3', { text: 'General' });
+    
+    new Setting(this.containerEl)
+    .setName('Show callout summary in status bar')
+    .setDesc('Shows how many callouts the active note has and how many are collapsed. Click it for quick actions.')
+    .addToggle(toggle => toggle
+      .setValue(this.plugin.settings.showStatusBar)
+      .onChange(async (value) => {
+        this.plugin.settings.showStatusBar = value;
+        await this.plugin.saveSettings();
+        this.plugin.updateStatusBar();
+      })
+    );
+    
+    new Setting(this.containerEl)
+    .setName('Vim fold keys')
+    .setDesc('In Vim mode, za, zo, zc, zA, zM and zR fold callouts. Choose whether they change the visual state or the Markdown.')
+    .addDropdown(dropdown => dropdown
+      .addOption('visual', 'Visual')
+      .addOption('markdown', 'Markdown')
+      .addOption('off', 'Off')
+      .setValue(this.plugin.settings.vimFoldMode)
+      .onChange(async (value) => {
+        this.plugin.settings.vimFoldMode = value;
+        await this.plugin.saveSettings();
+        this.plugin.vimFoldBindings.register();
+      })
+    );
+    
+    new Setting(this.containerEl)
+    .setName('Reveal link targets in collapsed callouts')
+    .setDesc('When a link, search result or block reference points to a line inside collapsed callouts, in another note or the one already open, expand them. Choose whether to expand them visually or in the Markdown.')
+    .addDropdown(dropdown => dropdown
+      .addOption('visual', 'Visual')
+      .addOption('markdown', 'Markdown')
+      .addOption('off', 'Off')
+      .setValue(this.plugin.settings.revealOnNavigate)
+      .onChange(async (value) => {
+        this.plugin.settings.revealOnNavigate = value;
+        await this.plugin.saveSettings();
+      })
+    );
+    
+    new Setting(this.containerEl)
+    .setName('Accordion mode')
+    .setDesc('Expanding a callout collapses the other callouts at the same nesting level in its section. A note can override this with "callout-accordion: true" or "false" in its frontmatter.')
+    .addToggle(toggle => toggle
+      .setValue(this.plugin.settings.accordionMode)
+      .onChange(async (value) => {
+        this.plugin.settings.accordionMode = value;
+        await this.plugin.saveSettings();
+      })
+    );
+  }
+  
+  /**
+  * Add the editor for the default fold rules that run when a note opens
+  */
+  addFoldRuleSettings() {
+    const section = this.containerEl.createDiv({ cls: 'callout-control-group' });
+    section.createEl('h3', { text: 'Default Fold Rules' });
+    
+    const descEl = section.createDiv({ cls: 'callout-control-description' });
+    descEl.textContent = 'Rules run in order the first time a note opens after Obsidian starts, so later rules win. Notes with saved visual fold state are skipped. Empty conditions match everything.';
+    
+    this.plugin.settings.foldRules.forEach((rule, index) => {
+      this.addFoldRuleEditor(section, rule, index);
+    });
+    
+    new Setting(section)
+    .addButton(button => button
+      .setButtonText('Add rule')
+      .setCta()
+      .onClick(async () => {
+        this.plugin.settings.foldRules.push({ ...CONSTANTS.DEFAULT_FOLD_RULE });
+        await this.plugin.saveSettings();
+        this.display();
+      })
+    );
+  }
+  
+  /**
+  * Add the controls of one fold rule
+  * 
+  * @param {HTMLElement} containerEl - Container element
+  * @param {Object} rule - The rule to edit
+  * @param {number} index - Position of the rule in the list
+  */
+  addFoldRuleEditor(containerEl, rule, index) {
+    const ruleEl = containerEl.createDiv({ cls: 'callout-control-rule' });
+    const rules = this.plugin.settings.foldRules;
+    
+    const header = new Setting(ruleEl)
+    .setName(`Rule ${index + 1}`)
+    .setDesc(this.plugin.foldRuleService.describe(rule))
+    .addToggle(toggle => toggle
+      .setTooltip('Enable rule')
+      .setValue(rule.enabled)
+      .onChange(async (value) => {
+        rule.enabled = value;
+        await this.plugin.saveSettings();
+      })
+    )
+    .addExtraButton(button => button
+      .setIcon('arrow-up')
+      .setTooltip('Move up')
+      .setDisabled(index === 0)
+      .onClick(async () => {
+        rules.splice(index - 1, 0, rules.splice(index, 1)[0]);
+        await this.plugin.saveSettings();
+        this.display();
+      })
+    )
+    .addExtraButton(button => button
+      .setIcon('trash')
+      .setTooltip('Delete rule')
+      .onClick(async () => {
+        rules.splice(index, 1);
+        await this.plugin.saveSettings();
+        this.display();
+      })
+    );
+    
+    // Save a change and refresh the summary of the rule
+    const update = async (key, value) => {
+      rule[key] = value;
+      header.setDesc(this.plugin.foldRuleService.describe(rule));
+      await this.plugin.saveSettings();
+    };
+    
+    new Setting(ruleEl)
+    .setName('Action')
+    .addDropdown(dropdown => dropdown
+      .addOption('collapse', 'Collapse')
+      .addOption('expand', 'Expand')
+      .setValue(rule.action)
+      .onChange(value => update('action', value))
+    )
+    .addDropdown(dropdown => dropdown
+      .addOption('visual', 'Visually')
+      .addOption('markdown', 'In the Markdown')
+      .setValue(rule.modifyMarkdown ? 'markdown' : 'visual')
+      .onChange(value => update('modifyMarkdown', value === 'markdown'))
+    );
+    
+    [
+      ['folder', 'Folder', 'Notes in this folder and its subfolders', 'Courses'],
+      ['tag', 'Tag', 'Notes with this tag or a nested tag below it', '#reference'],
+      ['frontmatter', 'Frontmatter', 'Notes with this property, written "key" or "key: value"', 'status: draft'],
+      ['types', 'Callout types', 'Comma-separated callout types', 'solution, todo'],
+      ['titlePattern', 'Title pattern', 'Regular expression the callout title must match, ignoring case', '^Answer']
+    ].forEach(([key, name, desc, placeholder]) => {
+      new Setting(ruleEl)
+      .setName(name)
+      .setDesc(desc)
+      .addText(text => text
+        .setPlaceholder(placeholder)
+        .setValue(rule[key])
+        .onChange(value => update(key, value))
+      );
+    });
+    
+    new Setting(ruleEl)
+    .setName('Nesting depth')
+    .setDesc('Only callouts nested at least this deep')
+    .addDropdown(dropdown => {
+      dropdown.addOption('0', 'Any depth');
+      for (let level = 2; level <= 6; level++) {
+        dropdown.addOption(String(level), `Level ${level} or deeper`);
+      }
+      dropdown
+      .setValue(String(rule.minLevel || 0))
+      .onChange(value => update('minLevel', parseInt(value)));
+    });
+  }
+  
+  /**
+  * Add header and description to settings
+  */
+  addHeaderAndDescription() {
+    const heading = this.containerEl.createEl('h3', { text: 'Available Commands' });
+    
+    const description = document.createElement('div');
+    description.className = 'callout-control-description';
+    description.textContent = 'Enable or disable specific commands shown in the command palette.';
+    
+    heading.insertAdjacentElement('afterend', description);
+  }
+  
+  /**
+  * Group commands by their scope
+  * 
+  * @returns {Object} Commands grouped by scope
+  */
+  groupCommandsByScope() {
+    // Get all commands from the registry
+    const commands = this.plugin.commandRegistry.commands;
+    
+    // Group by scope
+    return commands.reduce((groups, command) => {
+      if (!groups[command.scope]) {
+        groups[command.scope] = [];
+      }
+      groups[command.scope].push(command);
+      return groups;
+    }, {});
+  }
+  
+  /**
+  * Render settings for all command groups
+  * 
+  * @param {Object} groupedCommands - Commands grouped by scope
+  */
+  renderGroupSettings(groupedCommands) {
+    Object.entries(groupedCommands).forEach(([scope, commands]) => {
+      this.renderScopeGroup(scope, commands);
+    });
+  }
+  
+  /**
+  * Render settings for a specific command scope
+  * 
+  * @param {string} scope - The command scope
+  * @param {Array<CalloutCommand>} commands - Commands in this scope
+  */
+  renderScopeGroup(scope, commands) {
+    // Create group container
+    const section = this.containerEl.createDiv({ cls: 'callout-control-group' });
+    
+    // Add scope heading
+    const formattedScope = scope.charAt(0).toUpperCase() + scope.slice(1);
+    section.createEl('h3', { text: formattedScope });
+    
+    // Add scope description
+    let scopeDescription = '';
+    switch (scope) {
+      case CONSTANTS.SCOPES.ALL:
+      scopeDescription = 'Commands that affect all callouts in the document.';
+      break;
+      case CONSTANTS.SCOPES.CURRENT:
+      scopeDescription = 'Commands that affect the callout at or nearest to the cursor.';
+      break;
+      case CONSTANTS.SCOPES.SECTION:
+      scopeDescription = 'Commands that affect callouts in the current section (between headings).';
+      break;
+      case CONSTANTS.SCOPES.SELECTION:
+      scopeDescription = 'Commands that affect callouts touched by the selection or by any of multiple cursors.';
+      break;
+      case CONSTANTS.SCOPES.TYPE:
+      scopeDescription = 'Commands that affect only callouts of one type, picked from a list or pinned below.';
+      break;
+      case CONSTANTS.SCOPES.SUBTREE:
+      scopeDescription = 'Commands that affect callouts under the current heading, including all of its subheadings.';
+      break;
+      case CONSTANTS.SCOPES.PARENT:
+      scopeDescription = 'Commands that affect callouts in the parent section of the current heading, including its subheadings.';
+      break;
+      case CONSTANTS.SCOPES.HEADING:
+      scopeDescription = 'Commands that affect callouts under a heading picked from a list, without moving the cursor.';
+      break;
+      case CONSTANTS.SCOPES.VAULT:
+      scopeDescription = 'Commands that update fold markers in every note of a folder, a tag or the search results, after a preview.';
+      break;
+      case CONSTANTS.SCOPES.NAVIGATE:
+      scopeDescription = 'Commands that move the cursor between callouts, or expand callouts as the cursor enters them.';
+      break;
+      case CONSTANTS.SCOPES.SYNC:
+      scopeDescription = 'Commands that make the visual fold state permanent in the Markdown, or reset it to the Markdown.';
+      break;
+      case CONSTANTS.SCOPES.HISTORY:
+      scopeDescription = 'Commands that undo and redo visual fold commands, per tab and note, until the tab is closed.';
+      break;
+      case CONSTANTS.SCOPES.DIAGNOSTICS:
+      scopeDescription = 'Commands that report how much work the plugin does in the background.';
+      break;
+    }
+    
+    const descEl = section.createDiv({ cls: 'callout-control-description' });
+    descEl.textContent = scopeDescription;
+    
+    // Add group toggle
+    this.addGroupToggle(section, scope, commands);
+    
+    // Separate markdown and visual commands
+    const markdownCommands = commands.filter(cmd => cmd.modifyMarkdown);
+    const visualCommands = commands.filter(cmd => !cmd.modifyMarkdown);
+    
+    // Add subheadings if both types exist
+    if (markdownCommands.length && visualCommands.length) {
+      const markdownHeading = section.createEl('h4', { text: 'Markdown Commands' });
+      markdownHeading.style.marginTop = '1em';
+      markdownHeading.style.marginBottom = '0.5em';
+      
+      markdownCommands.forEach(command => {
+        this.addCommandToggle(section, command);
+      });
+      
+      const visualHeading = section.createEl('h4', { text: 'Visual-Only Commands' });
+      visualHeading.style.marginTop = '1em';
+      visualHeading.style.marginBottom = '0.5em';
+      
+      visualCommands.forEach(command => {
+        this.addCommandToggle(section, command);
+      });
+    } else {
+      // Just list all commands without subheadings
+      commands.forEach(command => {
+        this.addCommandToggle(section, command);
+      });
+    }
+    
+    // Pinned types get their own commands
+    if (scope === CONSTANTS.SCOPES.TYPE) {
+      this.addPinnedTypeSettings(section);
+    }
+    
+    // Navigation has its own options
+    if (scope === CONSTANTS.SCOPES.NAVIGATE) {
+      this.addNavigationSettings(section);
+    }
+  }
+  
+  /**
+  * Add the options of the navigation commands
+  * 
+  * @param {HTMLElement} containerEl - Container element
+  */
+  addNavigationSettings(containerEl) {
+    const heading = containerEl.createEl('h4', { text: 'Options' });
+    heading.style.marginTop = '1em';
+    heading.style.marginBottom = '0.5em';
+    
+    new Setting(containerEl)
+    .setName('Expand the destination')
+    .setDesc('Visually expand the callout you move to, and any collapsed callouts around it')
+    .addToggle(toggle => toggle
+      .setValue(this.plugin.settings.expandOnNavigate)
+      .onChange(async (value) => {
+        this.plugin.settings.expandOnNavigate = value;
+        await this.plugin.saveSettings();
+      })
+    );
+    
+    new Setting(containerEl)
+    .setName('Focus mode expands parent callouts')
+    .setDesc('In focus mode, also expand the callouts the one under the cursor is nested in')
+    .addToggle(toggle => toggle
+      .setValue(this.plugin.settings.focusExpandParents)
+      .onChange(async (value) => {
+        this.plugin.settings.focusExpandParents = value;
+        await this.plugin.saveSettings();
+        this.plugin.refreshFocusTrackers();
+      })
+    );
+  }
+  
+  /**
+  * Add controls for pinning callout types, each of which gets its own commands
+  * 
+  * @param {HTMLElement} containerEl - Container element
+  */
+  addPinnedTypeSettings(containerEl) {
+    const heading = containerEl.createEl('h4', { text: 'Pinned Types' });
+    heading.style.marginTop = '1em';
+    heading.style.marginBottom = '0.5em';
+    
+    let newType = '';
+    
+    new Setting(containerEl)
+    .setName('Pin a callout type')
+    .setDesc('Adds Toggle, Collapse, Expand and Flip commands for this type, so they can get hotkeys')
+    .addText(text => text
+      .setPlaceholder('warning')
+      .onChange(value => {
+        newType = value;
+      })
+    )
+    .addButton(button => button
+      .setButtonText('Pin')
+      .onClick(async () => {
+        const type = newType.trim().toLowerCase();
+        if (!/^[\w-]+$/.test(type) || this.plugin.settings.pinnedTypes.includes(type)) return;
+        
+        this.plugin.settings.pinnedTypes.push(type);
+        await this.updatePinnedTypes();
+      })
+    );
+    
+    this.plugin.settings.pinnedTypes.forEach(type => {
+      new Setting(containerEl)
+      .setName(`[!${type}]`)
+      .addExtraButton(button => button
+        .setIcon('trash')
+        .setTooltip('Unpin')
+        .onClick(async () => {
+          this.plugin.settings.pinnedTypes = this.plugin.settings.pinnedTypes.filter(t => t !== type);
+          await this.updatePinnedTypes();
+        })
+      );
+    });
+  }
+  
+  /**
+  * Save pinned types and re-register their commands
+  */
+  async updatePinnedTypes() {
+    await this.plugin.saveSettings();
+    
+    this.plugin.commandRegistry.refreshPinnedTypeCommands();
+    this.plugin.commandRegistry.registerCommands(
+      (scope, mode, modifyMarkdown, options) => 
+        this.plugin.applyCalloutOperation(scope, mode, modifyMarkdown, options)
+    );
+    
+    this.display();
+  }
+  
+  /**
+  * Add a toggle for enabling/disabling all commands in a group
+  * 
+  * @param {HTMLElement} containerEl - Container element
+  * @param {string} scope - Command scope
+  * @param {Array<CalloutCommand>} commands - Commands in this scope
+  */
+  addGroupToggle(containerEl, scope, commands) {
+    const formattedScope = scope.charAt(0).toUpperCase() + scope.slice(1);
+    
+    new Setting(containerEl)
+    .setName(`Enable ${formattedScope} Commands`)
+    .setDesc(`Toggle all commands that affect ${scope} callouts`)
+    .addToggle(toggle => toggle
+      .setValue(this.plugin.settings.groupsEnabled[scope] || false)
+      .onChange(async (value) => {
+        // Update all commands in this group
+        this.plugin.settings.setGroupEnabled(scope, value, commands);
+        
+        // Save settings
+        await this.plugin.saveSettings();
+        
+        // Refresh commands in the command palette
+        this.plugin.commandRegistry.registerCommands(
+          (scope, mode, modifyMarkdown, options) => 
+            this.plugin.applyCalloutOperation(scope, mode, modifyMarkdown, options)
+        );
+        
+        // Redraw settings panel to reflect changes
+        this.display();
+      })
+    );
+  }
+  
+  /**
+  * Add a toggle for a specific command
+  * 
+  * @param {HTMLElement} containerEl - Container element
+  * @param {CalloutCommand} command - The command to add a toggle for
+  */
+  addCommandToggle(containerEl, command) {
+    // Determine if command is enabled
+    const isEnabled = this.plugin.settings.isCommandEnabled(command.id);
+    
+    // Create a descriptive name based on command properties
+    let displayName = command.name;
+    
+    // Add description based on mode
+    let description = '';
+    switch (command.mode) {
+      case CONSTANTS.MODES.TOGGLE:
+      description = 'Toggles all callouts based on the majority state';
+      break;
+      case CONSTANTS.MODES.COLLAPSE:
+      description = command.options.minLevel ?
+      `Collapses callouts nested ${command.options.minLevel} or more levels deep` :
+      'Collapses all callouts';
+      break;
+      case CONSTANTS.MODES.EXPAND:
+      description = 'Expands all callouts';
+      break;
+      case CONSTANTS.MODES.TOGGLE_INDIVIDUAL:
+      description = 'Toggles each callout individually';
+      break;
+      case CONSTANTS.MODES.FOLD_TO_LEVEL:
+      description = `Expands callouts down to nesting level ${command.options.level} and collapses the deeper ones`;
+      break;
+      case CONSTANTS.MODES.NEXT:
+      case CONSTANTS.MODES.PREVIOUS:
+      description = 'Moves the cursor to the header of the nearest callout in that direction';
+      break;
+      case CONSTANTS.MODES.NEXT_COLLAPSED:
+      case CONSTANTS.MODES.PREVIOUS_COLLAPSED:
+      description = 'Moves the cursor to the nearest collapsed callout in that direction';
+      break;
+      case CONSTANTS.MODES.NEXT_SAME_TYPE:
+      description = 'Moves the cursor to the next callout with the type of the current one';
+      break;
+      case CONSTANTS.MODES.PARENT:
+      description = 'Moves the cursor to the header of the current callout, or from there to its parent';
+      break;
+      case CONSTANTS.MODES.CHILD:
+      description = 'Moves the cursor to the first callout nested in the current one';
+      break;
+      case CONSTANTS.MODES.OUTLINE:
+      description = 'Shows the callouts of the active note as a tree in the sidebar';
+      break;
+      case CONSTANTS.MODES.FOCUS:
+      description = 'Visually expands the callout the cursor enters and collapses it again when the cursor leaves';
+      break;
+      case CONSTANTS.MODES.COMMIT:
+      description = 'Writes the visual fold state of every callout to its +/- marker';
+      break;
+      case CONSTANTS.MODES.DISCARD:
+      description = 'Resets every callout to the state of its +/- marker';
+      break;
+      case CONSTANTS.MODES.UNDO:
+      description = 'Restores the visual fold state from before the last visual command';
+      break;
+      case CONSTANTS.MODES.REDO:
+      description = 'Re-applies the last undone visual command';
+      break;
+      case CONSTANTS.MODES.STATS:
+      description = 'Shows how many lines the callout indexes parsed since the plugin was loaded';
+      break;
+    }
+    
+    // Add setting toggle
+    new Setting(containerEl)
+    .setName(displayName)
+    .setDesc(description)
+    .addToggle(toggle => {
+      toggle
+      .setValue(isEnabled)
+      .onChange(async (value) => {
+        // Update command state
+        this.plugin.settings.setCommandEnabled(command.id, value);
+        
+        // If enabling a command, ensure its group is enabled
+        if (value) {
+          this.plugin.settings.groupsEnabled[command.scope] = true;
+        }
+        
+        // Save settings
+        await this.plugin.saveSettings();
+        
+        // Refresh commands in the command palette
+        this.plugin.commandRegistry.registerCommands(
+          (scope, mode, modifyMarkdown, options) => 
+            this.plugin.applyCalloutOperation(scope, mode, modifyMarkdown, options)
+        );
+        
+        // Redraw settings panel to reflect changes
+        this.display();
+      });
+    });
+  }
+}
+
+/**
+* CalloutControlPlugin - Refactored main plugin class
+* 
+* The main plugin class that coordinates the services and provides
+* commands to the Obsidian interface.
+*/
+module.exports = class CalloutControlPlugin extends Plugin {
+  
+  /**
+  * Initialize plugin properties
+  */
+  constructor(app, manifest) {
+    super(app, manifest);
+    
+    // Initialize settings
+    this.settings = new PluginSettings();
+    
+    // Command registry
+    this.commandRegistry = new CommandRegistry(this, this.settings);
+    
+    // Error handler
+    this.errorHandler = new ErrorHandler();
+    
+    // Per-file callout indexes shared by all services and commands
+    this.calloutIndex = new CalloutIndexManager();
+    
+    // Visual fold state persisted per note
+    this.visualFoldStore = new VisualFoldStore();
+    
+    // Undo and redo of visual fold commands
+    this.visualFoldHistory = new VisualFoldHistory();
+    
+    // Fold marker changes across many notes
+    this.batchService = new BatchFoldService(app, this.calloutIndex.parser, this.errorHandler);
+    
+    // Default fold rules applied when a note opens
+    this.foldRuleService = new FoldRuleService(app, this.batchService);
+    
+    // Fold changes can come in quick succession, so batch the writes
+    this.requestSaveSettings = debounce(() => this.saveSettings(), 1000, true);
+    
+    // Mutation observer for DOM updates
+    this.mutationObserver = new CalloutMutationObserver();
+    
+    // Source text of the most recent Reading view render
+    this.previewSource = null;
+    
+    // Editor changes come in quick succession, so batch outline and status bar updates
+    this.requestUiRefresh = debounce(() => this.refreshUi(), CONSTANTS.UI_REFRESH_DELAY, true);
+    
+    // Status bar summary of the active note, created on load
+    this.statusBarEl = null;
+    
+    // Vim fold keys for callouts
+    this.vimFoldBindings = new VimFoldBindings(this);
+    
+    // Focus mode trackers of the open editors
+    this.focusTrackers = new Set();
+    
+    // Markdown views whose ephemeral state is watched for link targets, with their wrappers
+    this.navigationViews = new Map();
+    
+    // Pending reveal of a link target
+    this.revealTimer = null;
+    
+    // Paths of the notes the default fold rules ran on this session
+    this.foldRuleFiles = new Set();
+  }
+  
+  /**
+  * Load settings from storage
+  */
+  async loadSettings() {
+    try {
+      const loadedData = await this.loadData();
+      this.settings.merge(loadedData);
+      this.visualFoldStore.load(loadedData?.visualFolds);
+    } catch (error) {
+      this.errorHandler.handleError(
+        "Failed to load settings", 
+        error,
+        "Using default settings instead."
+      );
+    }
+  }
+  
+  /**
+  * Save settings to storage
+  */
+  async saveSettings() {
+    try {
+      await this.saveData({
+        ...this.settings.toObject(),
+        visualFolds: this.visualFoldStore.toObject()
+      });
+    } catch (error) {
+      this.errorHandler.handleError(
+        "Failed to save settings", 
+        error,
+        "Your changes may not persist after restarting Obsidian."
+      );
+    }
+  }
+  
+  /**
+  * Initialize the plugin and register commands
+  */
+  async onload() {
+    try {
+      // Load settings at startup
+      await this.loadSettings();
+      
+      // Initialize command registry with command table
+      this.commandRegistry.initializeFromTable([
+        // Current Callout (Markdown)
+        ['toggle-current-markdown', 'Toggle Current', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.TOGGLE, true],
+        ['collapse-current-markdown', 'Collapse Current', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.COLLAPSE, true],
+        ['expand-current-markdown', 'Expand Current', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.EXPAND, true],
+        
+        // Current Callout (Visual Only)
+        ['toggle-current-visual', 'Toggle Current (Visual)', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.TOGGLE, false],
         ['collapse-current-visual', 'Collapse Current (Visual)', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.COLLAPSE, false],
         ['expand-current-visual', 'Expand Current (Visual)', CONSTANTS.SCOPES.CURRENT, CONSTANTS.MODES.EXPAND, false],  
         
-        // Section Callouts (Markdown)
-        ['toggle-section-markdown', 'Toggle Section', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.TOGGLE, true],
-        ['collapse-section-markdown', 'Collapse Section', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.COLLAPSE, true],
-        ['expand-section-markdown', 'Expand Section', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.EXPAND, true],
-        ['flip-section-markdown', 'Flip Section', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, true],
+        // Section Callouts (Markdown)
+        ['toggle-section-markdown', 'Toggle Section', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.TOGGLE, true],
+        ['collapse-section-markdown', 'Collapse Section', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.COLLAPSE, true],
+        ['expand-section-markdown', 'Expand Section', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.EXPAND, true],
+        ['flip-section-markdown', 'Flip Section', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, true],
+        ['collapse-section-depth-2-markdown', 'Collapse Section at Depth ≥ 2', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.COLLAPSE, true, { minLevel: 2 }],
+        ['collapse-section-depth-3-markdown', 'Collapse Section at Depth ≥ 3', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.COLLAPSE, true, { minLevel: 3 }],
+        ['expand-section-to-depth-1-markdown', 'Expand Section to Depth 1', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.FOLD_TO_LEVEL, true, { level: 1 }],
+        ['expand-section-to-depth-2-markdown', 'Expand Section to Depth 2', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.FOLD_TO_LEVEL, true, { level: 2 }],
+        
+        // Section Callouts (Visual Only)
+        ['toggle-section-visual', 'Toggle Section (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.TOGGLE, false],
+        ['collapse-section-visual', 'Collapse Section (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.COLLAPSE, false],
+        ['expand-section-visual', 'Expand Section (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.EXPAND, false],
+        ['flip-section-visual', 'Flip Section (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, false],
+        ['collapse-section-depth-2-visual', 'Collapse Section at Depth ≥ 2 (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.COLLAPSE, false, { minLevel: 2 }],
+        ['collapse-section-depth-3-visual', 'Collapse Section at Depth ≥ 3 (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.COLLAPSE, false, { minLevel: 3 }],
+        ['expand-section-to-depth-1-visual', 'Expand Section to Depth 1 (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.FOLD_TO_LEVEL, false, { level: 1 }],
+        ['expand-section-to-depth-2-visual', 'Expand Section to Depth 2 (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.FOLD_TO_LEVEL, false, { level: 2 }],
+        
+        // Heading Subtree (Markdown)
+        ['toggle-subtree-markdown', 'Toggle Subtree', CONSTANTS.SCOPES.SUBTREE, CONSTANTS.MODES.TOGGLE, true],
+        ['collapse-subtree-markdown', 'Collapse Subtree', CONSTANTS.SCOPES.SUBTREE, CONSTANTS.MODES.COLLAPSE, true],
+        ['expand-subtree-markdown', 'Expand Subtree', CONSTANTS.SCOPES.SUBTREE, CONSTANTS.MODES.EXPAND, true],
+        ['flip-subtree-markdown', 'Flip Subtree', CONSTANTS.SCOPES.SUBTREE, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, true],
+        
+        // Heading Subtree (Visual Only)
+        ['toggle-subtree-visual', 'Toggle Subtree (Visual)', CONSTANTS.SCOPES.SUBTREE, CONSTANTS.MODES.TOGGLE, false],
+        ['collapse-subtree-visual', 'Collapse Subtree (Visual)', CONSTANTS.SCOPES.SUBTREE, CONSTANTS.MODES.COLLAPSE, false],
+        ['expand-subtree-visual', 'Expand Subtree (Visual)', CONSTANTS.SCOPES.SUBTREE, CONSTANTS.MODES.EXPAND, false],
+        ['flip-subtree-visual', 'Flip Subtree (Visual)', CONSTANTS.SCOPES.SUBTREE, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, false],
+        
+        // Parent Section (Markdown)
+        ['toggle-parent-markdown', 'Toggle Parent Section', CONSTANTS.SCOPES.PARENT, CONSTANTS.MODES.TOGGLE, true],
+        ['collapse-parent-markdown', 'Collapse Parent Section', CONSTANTS.SCOPES.PARENT, CONSTANTS.MODES.COLLAPSE, true],
+        ['expand-parent-markdown', 'Expand Parent Section', CONSTANTS.SCOPES.PARENT, CONSTANTS.MODES.EXPAND, true],
+        ['flip-parent-markdown', 'Flip Parent Section', CONSTANTS.SCOPES.PARENT, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, true],
+        
+        // Parent Section (Visual Only)
+        ['toggle-parent-visual', 'Toggle Parent Section (Visual)', CONSTANTS.SCOPES.PARENT, CONSTANTS.MODES.TOGGLE, false],
+        ['collapse-parent-visual', 'Collapse Parent Section (Visual)', CONSTANTS.SCOPES.PARENT, CONSTANTS.MODES.COLLAPSE, false],
+        ['expand-parent-visual', 'Expand Parent Section (Visual)', CONSTANTS.SCOPES.PARENT, CONSTANTS.MODES.EXPAND, false],
+        ['flip-parent-visual', 'Flip Parent Section (Visual)', CONSTANTS.SCOPES.PARENT, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, false],
+        
+        // Callouts under a Heading (Markdown), the heading is picked from a list
+        ['toggle-heading-markdown', 'Toggle under Heading…', CONSTANTS.SCOPES.HEADING, CONSTANTS.MODES.TOGGLE, true],
+        ['collapse-heading-markdown', 'Collapse under Heading…', CONSTANTS.SCOPES.HEADING, CONSTANTS.MODES.COLLAPSE, true],
+        ['expand-heading-markdown', 'Expand under Heading…', CONSTANTS.SCOPES.HEADING, CONSTANTS.MODES.EXPAND, true],
+        ['flip-heading-markdown', 'Flip under Heading…', CONSTANTS.SCOPES.HEADING, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, true],
+        
+        // Callouts under a Heading (Visual Only)
+        ['toggle-heading-visual', 'Toggle under Heading… (Visual)', CONSTANTS.SCOPES.HEADING, CONSTANTS.MODES.TOGGLE, false],
+        ['collapse-heading-visual', 'Collapse under Heading… (Visual)', CONSTANTS.SCOPES.HEADING, CONSTANTS.MODES.COLLAPSE, false],
+        ['expand-heading-visual', 'Expand under Heading… (Visual)', CONSTANTS.SCOPES.HEADING, CONSTANTS.MODES.EXPAND, false],
+        ['flip-heading-visual', 'Flip under Heading… (Visual)', CONSTANTS.SCOPES.HEADING, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, false],
+        
+        // Selected Callouts (Markdown)
+        ['toggle-selection-markdown', 'Toggle Selection', CONSTANTS.SCOPES.SELECTION, CONSTANTS.MODES.TOGGLE, true],
+        ['collapse-selection-markdown', 'Collapse Selection', CONSTANTS.SCOPES.SELECTION, CONSTANTS.MODES.COLLAPSE, true],
+        ['expand-selection-markdown', 'Expand Selection', CONSTANTS.SCOPES.SELECTION, CONSTANTS.MODES.EXPAND, true],
+        ['flip-selection-markdown', 'Flip Selection', CONSTANTS.SCOPES.SELECTION, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, true],
+        
+        // Selected Callouts (Visual Only)
+        ['toggle-selection-visual', 'Toggle Selection (Visual)', CONSTANTS.SCOPES.SELECTION, CONSTANTS.MODES.TOGGLE, false],
+        ['collapse-selection-visual', 'Collapse Selection (Visual)', CONSTANTS.SCOPES.SELECTION, CONSTANTS.MODES.COLLAPSE, false],
+        ['expand-selection-visual', 'Expand Selection (Visual)', CONSTANTS.SCOPES.SELECTION, CONSTANTS.MODES.EXPAND, false],
+        ['flip-selection-visual', 'Flip Selection (Visual)', CONSTANTS.SCOPES.SELECTION, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, false],
+        
+        // Callouts by Type (Markdown), the type is picked from a list
+        ['toggle-type-markdown', 'Toggle by Type…', CONSTANTS.SCOPES.TYPE, CONSTANTS.MODES.TOGGLE, true],
+        ['collapse-type-markdown', 'Collapse by Type…', CONSTANTS.SCOPES.TYPE, CONSTANTS.MODES.COLLAPSE, true],
+        ['expand-type-markdown', 'Expand by Type…', CONSTANTS.SCOPES.TYPE, CONSTANTS.MODES.EXPAND, true],
+        ['flip-type-markdown', 'Flip by Type…', CONSTANTS.SCOPES.TYPE, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, true],
+        
+        // Callouts by Type (Visual Only)
+        ['toggle-type-visual', 'Toggle by Type… (Visual)', CONSTANTS.SCOPES.TYPE, CONSTANTS.MODES.TOGGLE, false],
+        ['collapse-type-visual', 'Collapse by Type… (Visual)', CONSTANTS.SCOPES.TYPE, CONSTANTS.MODES.COLLAPSE, false],
+        ['expand-type-visual', 'Expand by Type… (Visual)', CONSTANTS.SCOPES.TYPE, CONSTANTS.MODES.EXPAND, false],
+        ['flip-type-visual', 'Flip by Type… (Visual)', CONSTANTS.SCOPES.TYPE, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, false],
+        
+        // All Callouts (Markdown)
+        ['toggle-all-markdown', 'Toggle All', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.TOGGLE, true],
+        ['collapse-all-markdown', 'Collapse All', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, true],
+        ['expand-all-markdown', 'Expand All', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.EXPAND, true],
+        ['flip-all-markdown', 'Flip All', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, true],
+        ['collapse-all-depth-2-markdown', 'Collapse All at Depth ≥ 2', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, true, { minLevel: 2 }],
+        ['collapse-all-depth-3-markdown', 'Collapse All at Depth ≥ 3', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, true, { minLevel: 3 }],
+        ['expand-all-to-depth-1-markdown', 'Expand All to Depth 1', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.FOLD_TO_LEVEL, true, { level: 1 }],
+        ['expand-all-to-depth-2-markdown', 'Expand All to Depth 2', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.FOLD_TO_LEVEL, true, { level: 2 }],
+        
+        // All Callouts (Visual Only)
+        ['toggle-all-visual', 'Toggle All (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.TOGGLE, false],
+        ['collapse-all-visual', 'Collapse All (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, false],
+        ['expand-all-visual', 'Expand All (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.EXPAND, false],
+        ['flip-all-visual', 'Flip All (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, false],
+        ['collapse-all-depth-2-visual', 'Collapse All at Depth ≥ 2 (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, false, { minLevel: 2 }],
+        ['collapse-all-depth-3-visual', 'Collapse All at Depth ≥ 3 (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, false, { minLevel: 3 }],
+        ['expand-all-to-depth-1-visual', 'Expand All to Depth 1 (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.FOLD_TO_LEVEL, false, { level: 1 }],
+        ['expand-all-to-depth-2-visual', 'Expand All to Depth 2 (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.FOLD_TO_LEVEL, false, { level: 2 }],
+        
+        // Navigation between callouts
+        ['next-callout', 'Go to Next Callout', CONSTANTS.SCOPES.NAVIGATE, CONSTANTS.MODES.NEXT, false],
+        ['previous-callout', 'Go to Previous Callout', CONSTANTS.SCOPES.NAVIGATE, CONSTANTS.MODES.PREVIOUS, false],
+        ['next-collapsed-callout', 'Go to Next Collapsed Callout', CONSTANTS.SCOPES.NAVIGATE, CONSTANTS.MODES.NEXT_COLLAPSED, false],
+        ['previous-collapsed-callout', 'Go to Previous Collapsed Callout', CONSTANTS.SCOPES.NAVIGATE, CONSTANTS.MODES.PREVIOUS_COLLAPSED, false],
+        ['next-same-type-callout', 'Go to Next Callout of the Same Type', CONSTANTS.SCOPES.NAVIGATE, CONSTANTS.MODES.NEXT_SAME_TYPE, false],
+        ['parent-callout', 'Go to Parent Callout', CONSTANTS.SCOPES.NAVIGATE, CONSTANTS.MODES.PARENT, false],
+        ['child-callout', 'Go to First Nested Callout', CONSTANTS.SCOPES.NAVIGATE, CONSTANTS.MODES.CHILD, false],
+        ['open-outline', 'Open Callout Outline', CONSTANTS.SCOPES.NAVIGATE, CONSTANTS.MODES.OUTLINE, false],
+        ['toggle-focus-mode', 'Toggle Callout Focus Mode', CONSTANTS.SCOPES.NAVIGATE, CONSTANTS.MODES.FOCUS, false],
+        
+        // Sync between the visual state and the Markdown
+        ['commit-visual-markdown', 'Write Visual Fold State to Markdown', CONSTANTS.SCOPES.SYNC, CONSTANTS.MODES.COMMIT, true],
+        ['discard-visual', 'Discard Visual Fold Overrides', CONSTANTS.SCOPES.SYNC, CONSTANTS.MODES.DISCARD, false],
+        
+        // History of visual fold commands
+        ['undo-visual', 'Undo Last Callout Fold Change (Visual)', CONSTANTS.SCOPES.HISTORY, CONSTANTS.MODES.UNDO, false],
+        ['redo-visual', 'Redo Callout Fold Change (Visual)', CONSTANTS.SCOPES.HISTORY, CONSTANTS.MODES.REDO, false],
+        
+        // Callouts in many notes (Markdown), by folder, tag or search results, with a preview
+        ['collapse-vault-markdown', 'Collapse in Folder, Tag or Search Results…', CONSTANTS.SCOPES.VAULT, CONSTANTS.MODES.COLLAPSE, true],
+        ['expand-vault-markdown', 'Expand in Folder, Tag or Search Results…', CONSTANTS.SCOPES.VAULT, CONSTANTS.MODES.EXPAND, true],
+        ['flip-vault-markdown', 'Flip in Folder, Tag or Search Results…', CONSTANTS.SCOPES.VAULT, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, true],
+        
+        // Reports on the plugin's internals
+        ['show-index-stats', 'Show Callout Index Statistics', CONSTANTS.SCOPES.DIAGNOSTICS, CONSTANTS.MODES.STATS, false],
+      ]);
+      
+      // Register commands with operation handler
+      this.commandRegistry.registerCommands(
+        (scope, mode, modifyMarkdown, options) => this.applyCalloutOperation(scope, mode, modifyMarkdown, options)
+      );
+      
+      // Add settings tab
+      this.addSettingTab(new CalloutControlSettingsTab(this.app, this));
+      
+      // Register event handlers for editor changes
+      this.registerEditorHandlers();
+      
+      // Keep callout indexes in sync with editor transactions
+      this.registerIndexHandlers();
+      
+      // Keep visual fold state in the editor and apply it to rendered callouts
+      this.registerVisualFoldExtension();
+      
+      // Restore and clean up persisted visual fold state
+      this.registerVisualFoldPersistence();
+      
+      // Apply the default fold rules the first time a note opens, unless it has saved visual state
+      this.registerFoldRules();
+      
+      // Offer batch folding from the folder context menu
+      this.registerBatchFoldMenu();
+      
+      // Offer callout actions from the editor context menu
+      this.registerEditorMenu();
+      
+      // Sidebar outline of the callouts in the active note
+      this.registerView(CONSTANTS.OUTLINE_VIEW_TYPE, (leaf) => new CalloutOutlineView(leaf, this));
+      
+      // Status bar summary with a quick-action menu
+      this.statusBarEl = this.addStatusBarItem();
+      this.statusBarEl.addClass('mod-clickable');
+      this.statusBarEl.addEventListener('click', (event) => this.openStatusBarMenu(event));
+      this.app.workspace.onLayoutReady(() => this.updateStatusBar());
+      
+      // Reveal link targets that open inside collapsed callouts
+      this.registerNavigationReveal();
+      
+      // Vim mode is set up with the editors, so map the fold keys once the layout is ready
+      this.app.workspace.onLayoutReady(() => this.vimFoldBindings.register());
+      
+      // Correlate Reading view callouts with their source lines
+      this.registerMarkdownPostProcessor((el, ctx) => {
+        try {
+          this.processPreviewCallouts(el, ctx);
+        } catch (error) {
+          this.errorHandler.logError("Error processing rendered callouts", error);
+        }
+      });
+      
+    } catch (error) {
+      this.errorHandler.handleError(
+        "Failed to initialize plugin", 
+        error,
+        "Please try restarting Obsidian."
+      );
+    }
+  }
+  
+  /**
+  * Register event handlers for editor changes
+  */
+  registerEditorHandlers() {
+    // Listen for editor changes to update data attributes
+    this.registerEvent(
+      this.app.workspace.on('editor-change', (editor) => {
+        try {
+          this.updateDataAttributes(editor);
+          this.requestUiRefresh();
+        } catch (error) {
+          // Silently handle errors in event handlers
+          this.errorHandler.logError(
+            "Error updating data attributes", 
+            error
+          );
+        }
+      })
+    );
+    
+    // Register document event listeners for visual mode
+    this.registerEvent(
+      this.app.workspace.on('active-leaf-change', () => {
+        try {
+          this.setupMutationObserver();
+          this.requestUiRefresh();
+        } catch (error) {
+          this.errorHandler.logError(
+            "Error setting up mutation observer", 
+            error
+          );
+        }
+      })
+    );
+    
+    // Observe the leaf that is already active when the workspace loads
+    this.app.workspace.onLayoutReady(() => this.setupMutationObserver());
+  }
+  
+  /**
+  * Register the event that applies the default fold rules to opened notes.
+  * file-open also fires on tab switches, so rules run once per note per session.
+  */
+  registerFoldRules() {
+    this.registerEvent(
+      this.app.workspace.on('file-open', (file) => {
+        try {
+          if (file) this.applyFoldRules(file);
+        } catch (error) {
+          this.errorHandler.logError("Error applying fold rules", error);
+        }
+      })
+    );
+    
+    this.registerEvent(
+      this.app.vault.on('rename', (file, oldPath) => {
+        if (this.foldRuleFiles.delete(oldPath)) this.foldRuleFiles.add(file.path);
+      })
+    );
+    
+    this.register(() => this.foldRuleFiles.clear());
+  }
+  
+  /**
+  * Apply the matching default fold rules to the active note, in order, so
+  * later rules win. Each rule runs as an operation on all callouts of the note.
+  * Notes the rules already ran on this session, and notes with saved visual
+  * fold state, are left as they are.
+  * 
+  * @param {TFile} file - The opened note
+  */
+  applyFoldRules(file) {
+    const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+    if (!view || view.file?.path !== file.path) return;
+    
+    if (this.foldRuleFiles.has(file.path)) return;
+    this.foldRuleFiles.add(file.path);
+    
+    // The folds the user left in the note last time win over the rules
+    if (this.visualFoldStore.get(file.path)) return;
+    
+    this.foldRuleService.getRulesForFile(this.settings.foldRules, file).forEach(rule => {
+      let options;
+      try {
+        options = this.foldRuleService.getOperationOptions(rule);
+      } catch (error) {
+        this.errorHandler.logError(`Skipping fold rule with invalid title pattern "${rule.titlePattern}"`, error);
+        return;
+      }
+      
+      // Visual rules only shape this session's view, so turning a rule off leaves nothing behind
+      const mode = rule.action === 'expand' ? CONSTANTS.MODES.EXPAND : CONSTANTS.MODES.COLLAPSE;
+      this.applyCalloutOperation(CONSTANTS.SCOPES.ALL, mode, rule.modifyMarkdown, { ...options, transient: true });
+    });
+  }
+  
+  /**
+  * Show the parse work of the callout indexes since the plugin was loaded,
+  * next to the number of lines a full parse of the active note would take
+  */
+  showIndexStats() {
+    const stats = this.calloutIndex.getStats();
+    const perUpdate = stats.incrementalUpdates ? 
+    Math.round(stats.incrementalLinesParsed / stats.incrementalUpdates) : 0;
+    
+    const editor = this.app.workspace.activeEditor?.editor;
+    const noteLines = editor ? editor.lineCount() : 0;
+    
+    const message = `Callout index: ${stats.fullParses} full parses, ${stats.incrementalUpdates} incremental updates, ` +
+    `${stats.linesParsed} lines parsed (${perUpdate} per incremental update` +
+    (noteLines ? `, a full parse of this note is ${noteLines} lines)` : ')');
+    
+    new Notice(message);
+  }
+  
+  /**
+  * Reveal the target of a link, search result or block reference that lands
+  * inside collapsed callouts. Obsidian passes the target to the view's
+  * ephemeral state both when it opens a note and when it navigates within the
+  * note that is already open, where no workspace event fires. So every
+  * Markdown view gets its setEphemeralState wrapped as it appears, and the
+  * views are unwrapped on unload.
+  */
+  registerNavigationReveal() {
+    const wrapViews = () => this.wrapNavigationViews();
+    
+    this.registerEvent(this.app.workspace.on('file-open', wrapViews));
+    this.registerEvent(this.app.workspace.on('active-leaf-change', wrapViews));
+    this.registerEvent(this.app.workspace.on('layout-change', wrapViews));
+    this.app.workspace.onLayoutReady(wrapViews);
+    
+    this.register(() => {
+      window.clearTimeout(this.revealTimer);
+      this.navigationViews.forEach((wrapper, view) => this.unwrapNavigationView(view));
+    });
+  }
+  
+  /**
+  * Wrap the Markdown views that are not wrapped yet, and forget closed ones
+  */
+  wrapNavigationViews() {
+    const views = new Set(this.app.workspace.getLeavesOfType('markdown').map(leaf => leaf.view));
+    
+    this.navigationViews.forEach((wrapper, view) => {
+      if (!views.has(view)) this.navigationViews.delete(view);
+    });
+    
+    views.forEach(view => {
+      if (view instanceof MarkdownView && !this.navigationViews.has(view)) this.wrapNavigationView(view);
+    });
+  }
+  
+  /**
+  * Wrap setEphemeralState of one view so the plugin sees the targets it is given
+  * 
+  * @param {MarkdownView} view - The view to wrap
+  */
+  wrapNavigationView(view) {
+    const plugin = this;
+    const wrapper = {
+      original: view.setEphemeralState,
+      ownProperty: Object.prototype.hasOwnProperty.call(view, 'setEphemeralState'),
+      active: true,
+      wrapped(state) {
+        const result = wrapper.original.apply(this, arguments);
+        if (wrapper.active) plugin.scheduleNavigationReveal(this, state);
+        return result;
+      }
+    };
+    
+    view.setEphemeralState = wrapper.wrapped;
+    this.navigationViews.set(view, wrapper);
+  }
+  
+  /**
+  * Undo the wrapping of a view
+  * 
+  * @param {MarkdownView} view - The wrapped view
+  */
+  unwrapNavigationView(view) {
+    const wrapper = this.navigationViews.get(view);
+    if (!wrapper) return;
+    
+    wrapper.active = false;
+    this.navigationViews.delete(view);
+    
+    // Another plugin may have wrapped the view since, so only unwind our own layer
+    if (view.setEphemeralState !== wrapper.wrapped) return;
+    if (wrapper.ownProperty) {
+      view.setEphemeralState = wrapper.original;
+    } else {
+      delete view.setEphemeralState;
+    }
+  }
+  
+  /**
+  * Reveal a navigation target once Obsidian has applied its scroll and selection
+  * 
+  * @param {MarkdownView} view - The view that was navigated
+  * @param {Object} state - The ephemeral state Obsidian applied
+  */
+  scheduleNavigationReveal(view, state) {
+    if (!state || this.settings.revealOnNavigate === 'off') return;
+    
+    // Only the latest navigation matters
+    window.clearTimeout(this.revealTimer);
+    this.revealTimer = window.setTimeout(() => {
+      this.revealTimer = null;
+      try {
+        this.revealNavigationTarget(view, state);
+      } catch (error) {
+        this.errorHandler.logError("Error revealing link target", error);
+      }
+    }, CONSTANTS.REVEAL_DELAY);
+  }
+  
+  /**
+  * Register the editor extension and vault events that maintain callout indexes
+  */
+  registerIndexHandlers() {
+    this.registerEditorExtension(
+      EditorView.updateListener.of(update => {
+        try {
+          this.calloutIndex.handleUpdate(update);
+        } catch (error) {
+          this.errorHandler.logError("Error updating callout index", error);
+          this.calloutIndex.clear();
+        }
+      })
+    );
+    
+    this.registerEvent(
+      this.app.vault.on('rename', (file, oldPath) => this.calloutIndex.rename(oldPath, file.path))
+    );
+    
+    this.registerEvent(
+      this.app.vault.on('delete', (file) => this.calloutIndex.remove(file.path))
+    );
+  }
+  
+  /**
+  * Register the editor extensions that hold and render visual fold state,
+  * and the focus mode tracker that follows the cursor
+  */
+  registerVisualFoldExtension() {
+    const plugin = this;
+    
+    this.registerEditorExtension([
+      visualFoldField,
+      transientFoldBaseField,
+      ViewPlugin.define(view => new VisualFoldRenderer(view, plugin), {
+        eventHandlers: {
+          click(event) {
+            this.handleClick(event);
+          },
+          contextmenu(event) {
+            return this.handleContextMenu(event);
+          }
+        }
+      }),
+      ViewPlugin.define(view => new CalloutFocusTracker(view, plugin))
+    ]);
+  }
+  
+  /**
+  * Register the events that restore and clean up persisted visual fold state
+  */
+  registerVisualFoldPersistence() {
+    this.registerEvent(
+      this.app.workspace.on('file-open', (file) => {
+        try {
+          if (file) this.restoreVisualFolds(file);
+        } catch (error) {
+          this.errorHandler.logError("Error restoring visual fold state", error);
+        }
+      })
+    );
+    
+    this.registerEvent(
+      this.app.vault.on('rename', (file, oldPath) => {
+        if (this.visualFoldStore.rename(oldPath, file.path)) this.requestSaveSettings();
+      })
+    );
+    
+    this.registerEvent(
+      this.app.vault.on('delete', (file) => {
+        if (this.visualFoldStore.remove(file.path)) this.requestSaveSettings();
+      })
+    );
+  }
+  
+  /**
+  * Add a folder context menu item that opens the batch modal for that folder
+  */
+  registerBatchFoldMenu() {
+    this.registerEvent(
+      this.app.workspace.on('file-menu', (menu, file) => {
+        if (!(file instanceof TFolder)) return;
+        
+        menu.addItem(item => item
+          .setTitle('Fold callouts in folder…')
+          .setIcon('chevrons-down-up')
+          .onClick(() => this.openBatchFold({ kind: 'folder', path: file.isRoot() ? '' : file.path }))
+        );
+      })
+    );
+  }
+  
+  /**
+  * Add a Callout submenu to the editor context menu when the cursor is in a callout
+  */
+  registerEditorMenu() {
+    this.registerEvent(
+      this.app.workspace.on('editor-menu', (menu, editor) => {
+        try {
+          const services = this.getServices();
+          if (!services || services.editor !== editor) return;
+          
+          const callout = services.markdownService.findCalloutContainingLine(editor.getCursor().line);
+          if (!callout) return;
+          
+          menu.addItem(item => {
+            item.setTitle('Callout').setIcon('quote');
+            this.addCalloutMenuItems(item.setSubmenu(), callout);
+          });
+        } catch (error) {
+          this.errorHandler.logError("Error building callout menu", error);
+        }
+      })
+    );
+  }
+  
+  /**
+  * Open a menu of actions for one callout, e.g. from its rendered title
+  * 
+  * @param {MouseEvent} event - The event that opens the menu
+  * @param {Callout} callout - The callout to act on
+  */
+  openCalloutMenu(event, callout) {
+    const menu = new Menu();
+    this.addCalloutMenuItems(menu, callout);
+    menu.showAtMouseEvent(event);
+  }
+  
+  /**
+  * Add the actions for one callout to a menu
+  * 
+  * @param {Menu} menu - The menu to add to
+  * @param {Callout} callout - The callout to act on
+  */
+  addCalloutMenuItems(menu, callout) {
+    const services = this.getServices();
+    const foldService = services ? services.foldService : null;
+    const visuallyCollapsed = foldService ? foldService.isCollapsed(callout) : callout.isCollapsed;
+    
+    const addItem = (title, icon, onClick) => {
+      menu.addItem(item => item.setTitle(title).setIcon(icon).onClick(onClick));
+    };
+    
+    // This callout, visual and Markdown
+    addItem('Collapse', 'chevrons-down-up', () => this.setCalloutCollapsed(callout, true, false));
+    addItem('Expand', 'chevrons-up-down', () => this.setCalloutCollapsed(callout, false, false));
+    addItem('Toggle', 'flip-vertical', () => this.setCalloutCollapsed(callout, !visuallyCollapsed, false));
+    menu.addSeparator();
+    addItem('Collapse in Markdown', 'file-pen', () => this.setCalloutCollapsed(callout, true, true));
+    addItem('Expand in Markdown', 'file-pen', () => this.setCalloutCollapsed(callout, false, true));
+    addItem('Toggle in Markdown', 'file-pen', () => this.setCalloutCollapsed(callout, !callout.isCollapsed, true));
+    menu.addSeparator();
+    
+    // The section of this callout and the whole note
+    const options = { line: callout.startLine };
+    addItem('Collapse section', 'list-collapse', () => 
+      this.applyCalloutOperation(CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.COLLAPSE, false, options));
+    addItem('Expand section', 'list-tree', () => 
+      this.applyCalloutOperation(CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.EXPAND, false, options));
+    addItem('Collapse all', 'chevrons-down-up', () => 
+      this.applyCalloutOperation(CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, false));
+    addItem('Expand all', 'chevrons-up-down', () => 
+      this.applyCalloutOperation(CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.EXPAND, false));
+    menu.addSeparator();
+    
+    addItem('Copy callout content', 'copy', async () => {
+      try {
+        await navigator.clipboard.writeText(callout.content);
+        new Notice('Callout content copied');
+      } catch (error) {
+        this.errorHandler.handleError("Failed to copy callout content", error, "Could not copy the callout content.");
+      }
+    });
+  }
+  
+  /**
+  * Restore the stored visual fold state of a note into its editor
+  * 
+  * @param {TFile} file - The opened file
+  */
+  restoreVisualFolds(file) {
+    const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+    if (!view || view.file?.path !== file.path || !view.editor?.cm) return;
+    
+    const foldService = new VisualFoldService(view.editor.cm);
+    const saved = this.visualFoldStore.get(file.path);
+    if (!saved && !foldService.getFolds().size) return;
+    
+    const index = this.calloutIndex.getIndex(file.path, view.editor);
+    const fingerprints = index.parser.getFingerprints(index.callouts);
+    const changes = index.parser.flattenCallouts(index.callouts)
+    .filter(callout => saved && saved[fingerprints.get(callout)] !== undefined)
+    .map(callout => ({ callout, collapsed: saved[fingerprints.get(callout)] }));
+    
+    // The state comes from plugin data, so there is nothing to save back
+    foldService.replaceAll(changes, { transient: true });
+  }
+  
+  /**
+  * Set up a mutation observer to keep DOM-Markdown correlation up to date
+  */
+  setupMutationObserver() {
+    // Observe only the active leaf
+    this.mutationObserver.disconnect();
+    
+    const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+    if (!view) return;
+    
+    this.mutationObserver.observe(view.containerEl, () => {
+      try {
+        this.resyncRenderedCallouts(view);
+      } catch (error) {
+        this.errorHandler.logError("Error re-syncing rendered callouts", error);
+      }
+    });
+  }
+  
+  /**
+  * Re-apply correlation attributes and visual fold state after callouts re-render
+  * 
+  * @param {MarkdownView} view - The view whose callouts were re-rendered
+  */
+  resyncRenderedCallouts(view) {
+    const editor = view.editor;
+    if (!view.file || !editor?.cm) return;
+    
+    const index = this.calloutIndex.getIndex(view.file.path, editor);
+    const foldService = new VisualFoldService(editor.cm);
+    
+    // Live Preview widgets
+    foldService.applyToRenderedCallouts(index.callouts, new DOMCalloutService(editor.cm.contentDOM));
+    
+    // Reading view keeps the attributes from its post-processor, so only the overrides are needed
+    const previewService = new DOMCalloutService(view.previewMode?.containerEl);
+    previewService.applyCollapseStates(
+      foldService.getOverrides(index.parser.flattenCallouts(index.callouts))
+    );
+  }
+  
+  /**
+  * Clean up observers on plugin unload
+  */
+  onunload() {
+    // Disconnect the mutation observer
+    this.mutationObserver.disconnect();
+    
+    // Unregister commands
+    this.commandRegistry.unregisterAllCommands();
+    
+    // Give Vim its own fold keys back
+    this.vimFoldBindings.unregister();
+    
+    // Release cached callout indexes
+    this.calloutIndex.clear();
+    
+    // Write any pending visual fold state
+    this.requestSaveSettings.run();
+  }
+  
+  /**
+  * Update data attributes on callout DOM elements
+  * 
+  * @param {Editor} editor - The editor that changed
+  */
+  updateDataAttributes(editor) {
+    // Get services
+    const services = this.getServices();
+    if (!services || !services.foldService) return;
+    
+    const { markdownService, domService, foldService } = services;
+    
+    // Correlate rendered callouts with their exact source lines
+    foldService.applyToRenderedCallouts(markdownService.detectAllCallouts(), domService);
+  }
+  
+  /**
+  * Get the service instances for the current editor context
+  * 
+  * @returns {Object|null} Object containing the service instances, or null
+  */
+  getServices() {
+    try {
+      const editor = this.app.workspace.activeEditor?.editor;
+      const root = this.app.workspace.activeEditor?.containerEl;
+      const file = this.app.workspace.activeEditor?.file;
+      
+      if (!editor || !root) return null;
+      
+      const index = file ? this.calloutIndex.getIndex(file.path, editor) : null;
+      const markdownService = new CalloutMarkdownService(editor, index);
+      const domService = new DOMCalloutService(root);
+      
+      // Visual state lives in the editor, also while the note is in Reading view
+      const foldService = editor.cm ? new VisualFoldService(editor.cm) : null;
+      
+      return {
+        editor,
+        markdownService,
+        domService,
+        foldService
+      };
+    } catch (error) {
+      this.errorHandler.handleError(
+        "Failed to initialize services", 
+        error,
+        "Please try again or restart Obsidian."
+      );
+      return null;
+    }
+  }
+  
+  /**
+  * Apply a collapse/expand operation to callouts
+  * 
+  * @param {string} scope - 'all', 'current', 'section', 'selection', or 'type'
+  * @param {string} mode - 'toggle', 'collapse', 'expand', or 'toggle-individual'
+  * @param {boolean} modifyMarkdown - Whether to update the Markdown
+  * @param {Object} options - Extra options; `types` limits the operation to these callout types,
+  * `line` is used instead of the cursor line, `transient` keeps a visual change out of the
+  * saved fold state and the undo history
+  */
+  applyCalloutOperation(scope, mode, modifyMarkdown = false, options = {}) {
+    try {
+      // Vault scope works on many notes at once, after a preview
+      if (scope === CONSTANTS.SCOPES.VAULT) {
+        this.openBatchFold({ mode });
+        return;
+      }
+      
+      // History scope steps through earlier visual fold states
+      if (scope === CONSTANTS.SCOPES.HISTORY) {
+        this.stepVisualHistory(mode);
+        return;
+      }
+      
+      // Navigation moves the cursor instead of changing fold state
+      if (scope === CONSTANTS.SCOPES.NAVIGATE) {
+        if (mode === CONSTANTS.MODES.OUTLINE) {
+          this.activateOutlineView().catch(error => {
+            this.errorHandler.handleError("Failed to open callout outline", error, "Could not open the callout outline.");
+          });
+        } else if (mode === CONSTANTS.MODES.FOCUS) {
+          this.toggleFocusMode();
+        } else {
+          this.navigateToCallout(mode);
+        }
+        return;
+      }
+      
+      // Diagnostics report on the plugin instead of changing fold state
+      if (scope === CONSTANTS.SCOPES.DIAGNOSTICS) {
+        this.showIndexStats();
+        return;
+      }
+      
+      // Sync scope moves fold state between the visual state and the Markdown
+      if (scope === CONSTANTS.SCOPES.SYNC) {
+        if (mode === CONSTANTS.MODES.COMMIT) {
+          this.commitVisualState();
+        } else {
+          this.discardVisualOverrides();
+        }
+        return;
+      }
+      
+      // Type scope works on the whole note, asking for the type unless one was given
+      if (scope === CONSTANTS.SCOPES.TYPE) {
+        if (options.types) {
+          scope = CONSTANTS.SCOPES.ALL;
+        } else {
+          this.openTypePicker(mode, modifyMarkdown);
+          return;
+        }
+      }
+      
+      // Heading scope asks for the heading unless one was given
+      if (scope === CONSTANTS.SCOPES.HEADING && options.headingLine === undefined) {
+        this.openHeadingPicker(mode, modifyMarkdown);
+        return;
+      }
+      
+      // Get services
+      const services = this.getServices();
+      if (!services) return;
+      
+      const { 
+        editor, 
+        markdownService,
+        domService,
+        foldService
+      } = services;
+      
+      const cursor = options.line !== undefined ? { line: options.line, ch: 0 } : editor.getCursor();
+      
+      // If we're modifying markdown (for "with markdown" commands)
+      if (modifyMarkdown) {
+        try {
+          this.applyMarkdownOperation(scope, mode, cursor, markdownService, options);
+        } catch (err) {
+          console.error("Error in markdown operation:", err);
+          new Notice("Error applying markdown operation: " + err.message);
+        }
+      } else {
+        try {
+          this.applyVisualOperation(scope, mode, cursor, markdownService, domService, foldService, options);
+        } catch (err) {
+          console.error("Error in visual operation:", err);
+          new Notice("Error applying visual operation: " + err.message);
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to apply operation (${scope}, ${mode})`, error);
+      new Notice(`Callout operation failed: ${error.message}`);
+    }
+  }
+  
+  /**
+  * Apply operation to Markdown
+  * 
+  * @param {string} scope - Operation scope
+  * @param {string} mode - Operation mode
+  * @param {Position} cursor - Editor cursor position
+  * @param {CalloutMarkdownService} markdownService - Markdown service instance
+  * @param {Object} options - Extra operation options
+  */
+  applyMarkdownOperation(scope, mode, cursor, markdownService, options = {}) {
+    // Determine which callouts to modify based on scope
+    const callouts = this.getTargetCallouts(scope, cursor, markdownService, options);
+    
+    if (!callouts.length) return;
+    
+    // Create operation based on mode
+    const getNewState = createCalloutOperation(mode, callouts, options);
+    
+    let changes = callouts.map(callout => ({
+      callout,
+      collapsed: getNewState(callout)
+    }));
+    
+    if (scope === CONSTANTS.SCOPES.CURRENT) {
+      changes = this.addAccordionChanges(changes, markdownService, callout => callout.isCollapsed);
+    }
+    
+    // Update all callouts in one transaction, so a single undo reverts them
+    markdownService.updateCalloutCollapseStates(changes);
+  }
+  
+  /**
+  * Determine which callouts an operation applies to
+  * 
+  * @param {string} scope - Operation scope
+  * @param {Position} cursor - Editor cursor position
+  * @param {CalloutMarkdownService} markdownService - Markdown service instance
+  * @param {Object} options - Extra operation options; `types` keeps only these callout types,
+  * `minLevel` only callouts nested at least this deep, `titlePattern` only callouts whose
+  * title matches, `recursive` adds the nested callouts of the current callout
+  * @returns {Array<Callout>} The callouts in scope
+  */
+  getTargetCallouts(scope, cursor, markdownService, options = {}) {
+    let callouts = [];
+    
+    switch (scope) {
+      case CONSTANTS.SCOPES.ALL:
+      callouts = markdownService.detectAllCalloutsFlattened();
+      break;
+      
+      case CONSTANTS.SCOPES.CURRENT:
+      const callout = markdownService.findCalloutContainingLine(cursor.line) || 
+      markdownService.findCalloutAboveCursor(cursor.line);
+      if (callout) callouts = options.recursive ? callout.flatten() : [callout];
+      break;
+      
+      case CONSTANTS.SCOPES.SECTION:
+      callouts = markdownService.getCalloutsInCurrentSection(cursor.line);
+      break;
+      
+      case CONSTANTS.SCOPES.SELECTION:
+      callouts = markdownService.getCalloutsInSelections();
+      break;
+      
+      case CONSTANTS.SCOPES.SUBTREE:
+      callouts = markdownService.getCalloutsInHeadingSubtree(cursor.line);
+      break;
+      
+      case CONSTANTS.SCOPES.PARENT:
+      callouts = markdownService.getCalloutsInParentSection(cursor.line);
+      break;
+      
+      case CONSTANTS.SCOPES.HEADING:
+      callouts = markdownService.getCalloutsUnderHeading(options.headingLine);
+      break;
+    }
+    
+    if (options.types) {
+      const types = options.types.map(type => type.toLowerCase());
+      callouts = callouts.filter(callout => types.includes(callout.type.toLowerCase()));
+    }
+    
+    if (options.minLevel) {
+      callouts = callouts.filter(callout => callout.level >= options.minLevel);
+    }
+    
+    if (options.titlePattern) {
+      callouts = callouts.filter(callout => options.titlePattern.test(callout.title));
+    }
+    
+    return callouts;
+  }
+  
+  /**
+  * Apply operation to the visual state only.
+  * In editors the state lives in the editor's fold state field, which covers
+  * the whole document, so off-screen callouts pick it up when they scroll into
+  * view. Rendered elements, including Reading view, are updated right away.
+  * 
+  * @param {string} scope - Operation scope
+  * @param {string} mode - Operation mode
+  * @param {Position} cursor - Editor cursor position
+  * @param {CalloutMarkdownService} markdownService - Markdown service for parsing
+  * @param {DOMCalloutService} domService - DOM service instance
+  * @param {VisualFoldService|null} foldService - Visual fold service of the editor, if any
+  * @param {Object} options - Extra operation options
+  */
+  applyVisualOperation(scope, mode, cursor, markdownService, domService, foldService = null, options = {}) {
+    const callouts = this.getTargetCallouts(scope, cursor, markdownService, options);
+    
+    if (!callouts.length) {
+      // Operations that run on their own, like fold rules, don't report empty scopes
+      if (options.silent) return;
+      
+      switch (scope) {
+        case CONSTANTS.SCOPES.CURRENT:
+        new Notice('No callout found near cursor');
+        break;
+        
+        case CONSTANTS.SCOPES.SECTION:
+        new Notice('No callouts found in current section');
+        break;
         
-        // Section Callouts (Visual Only)
-        ['toggle-section-visual', 'Toggle Section (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.TOGGLE, false],
-        ['collapse-section-visual', 'Collapse Section (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.COLLAPSE, false],
-        ['expand-section-visual', 'Expand Section (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.EXPAND, false],
-        ['flip-section-visual', 'Flip Section (Visual)', CONSTANTS.SCOPES.SECTION, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, false],
+        case CONSTANTS.SCOPES.SELECTION:
+        new Notice('No callouts found in selection');
+        break;
         
-        // All Callouts (Markdown)
-        ['toggle-all-markdown', 'Toggle All', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.TOGGLE, true],
-        ['collapse-all-markdown', 'Collapse All', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, true],
-        ['expand-all-markdown', 'Expand All', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.EXPAND, true],
-        ['flip-all-markdown', 'Flip All', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, true],
+        case CONSTANTS.SCOPES.SUBTREE:
+        case CONSTANTS.SCOPES.HEADING:
+        new Notice('No callouts found under this heading');
+        break;
         
-        // All Callouts (Visual Only)
-        ['toggle-all-visual', 'Toggle All (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.TOGGLE, false],
-        ['collapse-all-visual', 'Collapse All (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, false],
-        ['expand-all-visual', 'Expand All (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.EXPAND, false],
-        ['flip-all-visual', 'Flip All (Visual)', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, false],
-      ]);
-      
-      // Register commands with operation handler
-      this.commandRegistry.registerCommands(
-        (scope, mode, modifyMarkdown) => this.applyCalloutOperation(scope, mode, modifyMarkdown)
+        case CONSTANTS.SCOPES.PARENT:
+        new Notice('No callouts found in parent section');
+        break;
+        
+        default:
+        new Notice('No callouts found in the document');
+        break;
+      }
+      return;
+    }
+    
+    // Keep the state before the change for undo, unless the change is not the user's own
+    if (!options.transient) this.recordVisualHistory(markdownService, domService, foldService);
+    
+    // Operate on the visual state rather than the fold markers
+    const states = callouts.map(callout => ({ 
+      callout, 
+      level: callout.level,
+      isCollapsed: foldService ? 
+      foldService.isCollapsed(callout) : 
+      domService.isCalloutCollapsed(callout)
+    }));
+    const getNewState = createCalloutOperation(mode, states, options);
+    
+    let changes = states.map(state => ({
+      callout: state.callout,
+      collapsed: getNewState(state)
+    }));
+    
+    if (scope === CONSTANTS.SCOPES.CURRENT) {
+      changes = this.addAccordionChanges(changes, markdownService, callout => foldService ? 
+        foldService.isCollapsed(callout) : 
+        domService.isCalloutCollapsed(callout)
       );
+    }
+    
+    if (foldService) {
+      foldService.setCollapsed(changes, { transient: options.transient });
+    }
+    domService.applyCollapseStates(changes);
+  }
+  
+  /**
+  * Let the user pick a callout type present in the note, then apply an operation to it
+  * 
+  * @param {string} mode - Operation mode
+  * @param {boolean} modifyMarkdown - Whether to update the Markdown
+  */
+  openTypePicker(mode, modifyMarkdown) {
+    const services = this.getServices();
+    if (!services) return;
+    
+    const { editor, markdownService } = services;
+    const cursorLine = editor.getCursor().line;
+    
+    const items = [
+      ...this.countCalloutTypes(markdownService.detectAllCalloutsFlattened())
+      .map(({ type, count }) => ({ type, count, scope: CONSTANTS.SCOPES.ALL })),
+      ...this.countCalloutTypes(markdownService.getCalloutsInCurrentSection(cursorLine))
+      .map(({ type, count }) => ({ type, count, scope: CONSTANTS.SCOPES.SECTION }))
+    ];
+    
+    if (!items.length) {
+      new Notice('No callouts found in the document');
+      return;
+    }
+    
+    new CalloutTypeSuggestModal(this.app, items, (item) => {
+      this.applyCalloutOperation(item.scope, mode, modifyMarkdown, { types: [item.type] });
+    }).open();
+  }
+  
+  /**
+  * Capture the visual fold state of the active note, keyed by callout fingerprint.
+  * In editors this is the set of visual overrides, elsewhere the rendered state.
+  * 
+  * @param {CalloutMarkdownService} markdownService - Markdown service for parsing
+  * @param {DOMCalloutService} domService - DOM service instance
+  * @param {VisualFoldService|null} foldService - Visual fold service of the editor, if any
+  * @returns {Object} Map of fingerprint to collapsed state
+  */
+  captureVisualSnapshot(markdownService, domService, foldService) {
+    const roots = markdownService.detectAllCallouts();
+    const fingerprints = markdownService.parser.getFingerprints(roots);
+    const callouts = markdownService.parser.flattenCallouts(roots);
+    
+    const states = foldService ?
+    foldService.getOverrides(callouts) :
+    callouts.map(callout => ({ callout, collapsed: domService.isCalloutCollapsed(callout) }));
+    
+    const snapshot = {};
+    states.forEach(({ callout, collapsed }) => {
+      snapshot[fingerprints.get(callout)] = collapsed;
+    });
+    return snapshot;
+  }
+  
+  /**
+  * Restore a captured visual fold state in the active note
+  * 
+  * @param {Object} snapshot - Map of fingerprint to collapsed state
+  * @param {CalloutMarkdownService} markdownService - Markdown service for parsing
+  * @param {DOMCalloutService} domService - DOM service instance
+  * @param {VisualFoldService|null} foldService - Visual fold service of the editor, if any
+  */
+  restoreVisualSnapshot(snapshot, markdownService, domService, foldService) {
+    const roots = markdownService.detectAllCallouts();
+    const fingerprints = markdownService.parser.getFingerprints(roots);
+    const callouts = markdownService.parser.flattenCallouts(roots);
+    
+    const changes = callouts
+    .filter(callout => snapshot[fingerprints.get(callout)] !== undefined)
+    .map(callout => ({ callout, collapsed: snapshot[fingerprints.get(callout)] }));
+    
+    if (foldService) {
+      foldService.replaceAll(changes);
+      domService.applyCollapseStates(callouts.map(callout => ({
+        callout,
+        collapsed: foldService.isCollapsed(callout)
+      })));
+    } else {
+      domService.applyCollapseStates(changes);
+    }
+  }
+  
+  /**
+  * Move the cursor to another callout, scroll it into view and, if enabled
+  * in the settings, expand it and the callouts around it visually
+  * 
+  * @param {string} mode - Navigation mode
+  */
+  navigateToCallout(mode) {
+    const services = this.getServices();
+    if (!services) return;
+    
+    const { editor, markdownService, domService, foldService } = services;
+    const isCollapsed = (callout) => foldService ? foldService.isCollapsed(callout) : domService.isCalloutCollapsed(callout);
+    const target = markdownService.findNavigationTarget(mode, editor.getCursor().line, isCollapsed);
+    
+    if (!target) {
+      new Notice('No callout to go to');
+      return;
+    }
+    
+    if (this.settings.expandOnNavigate) {
+      // Expand the destination and every callout it is nested in, so it can be seen
+      const changes = markdownService.detectAllCalloutsFlattened()
+      .filter(callout => callout.startLine <= target.startLine && callout.endLine >= target.endLine)
+      .filter(callout => isCollapsed(callout))
+      .map(callout => ({ callout, collapsed: false }));
       
-      // Add settings tab
-      this.addSettingTab(new CalloutControlSettingsTab(this.app, this));
-      
-      // Register event handlers for editor changes
-      this.registerEditorHandlers();
-      
-    } catch (error) {
-      this.errorHandler.handleError(
-        "Failed to initialize plugin", 
-        error,
-        "Please try restarting Obsidian."
+      if (changes.length) {
+        this.recordVisualHistory(markdownService, domService, foldService);
+        if (foldService) foldService.setCollapsed(changes);
+        domService.applyCollapseStates(changes);
+      }
+    }
+    
+    const position = { line: target.startLine, ch: 0 };
+    editor.setCursor(position);
+    editor.scrollIntoView({ from: position, to: position }, true);
+  }
+  
+  /**
+  * Get the lines a navigation targets: the line of an outline or backlink
+  * entry, the heading or block of a link subpath, or the match of a search
+  * result. The scroll position alone is not a target.
+  * 
+  * @param {MarkdownView} view - The navigated view
+  * @param {Object} state - The ephemeral state Obsidian applied
+  * @returns {Array<number>} Target lines, possibly empty
+  */
+  getNavigationTargetLines(view, state) {
+    const lines = [];
+    
+    if (typeof state.line === 'number') {
+      lines.push(state.line);
+    }
+    
+    if (typeof state.subpath === 'string' && state.subpath) {
+      const cache = this.app.metadataCache.getFileCache(view.file);
+      const target = cache ? resolveSubpath(cache, state.subpath) : null;
+      if (target) lines.push(target.start.line);
+    }
+    
+    const match = state.match?.matches?.[0];
+    if (match) {
+      lines.push(view.editor.offsetToPos(match[0]).line);
+    }
+    
+    return lines;
+  }
+  
+  /**
+  * Expand the collapsed callouts that hide the target of a navigation,
+  * visually or in the Markdown depending on the settings
+  * 
+  * @param {MarkdownView} view - The navigated view
+  * @param {Object} state - The ephemeral state Obsidian applied
+  */
+  revealNavigationTarget(view, state) {
+    // The services work on the active editor, so a view navigated in the background is left alone
+    if (this.app.workspace.getActiveViewOfType(MarkdownView) !== view || !view.file || !view.editor) return;
+    
+    const lines = this.getNavigationTargetLines(view, state);
+    if (!lines.length) return;
+    
+    const services = this.getServices();
+    if (!services) return;
+    
+    const { markdownService, domService, foldService } = services;
+    const modifyMarkdown = this.settings.revealOnNavigate === 'markdown';
+    const isCollapsed = (callout) => {
+      if (modifyMarkdown) return callout.isCollapsed;
+      return foldService ? foldService.isCollapsed(callout) : domService.isCalloutCollapsed(callout);
+    };
+    
+    // A line is hidden by every collapsed callout around it, except the one it is the title of
+    const changes = markdownService.detectAllCalloutsFlattened()
+    .filter(callout => lines.some(line => callout.containsLine(line) && line > callout.startLine))
+    .filter(callout => isCollapsed(callout))
+    .map(callout => ({ callout, collapsed: false }));
+    
+    if (!changes.length) return;
+    
+    if (modifyMarkdown) {
+      markdownService.updateCalloutCollapseStates(changes);
+    } else {
+      this.recordVisualHistory(markdownService, domService, foldService);
+      if (foldService) foldService.setCollapsed(changes);
+      domService.applyCollapseStates(changes);
+    }
+    
+    // The expanded callouts push the target down, so scroll to it again
+    view.currentMode.applyScroll(lines[0]);
+  }
+  
+  /**
+  * Turn focus mode on or off. Turning it off collapses the callouts it expanded.
+  */
+  async toggleFocusMode() {
+    this.settings.focusMode = !this.settings.focusMode;
+    await this.saveSettings();
+    this.refreshFocusTrackers();
+    new Notice(`Callout focus mode ${this.settings.focusMode ? 'on' : 'off'}`);
+  }
+  
+  /**
+  * Bring every editor's focused callouts up to date with the settings
+  */
+  refreshFocusTrackers() {
+    this.focusTrackers.forEach(tracker => tracker.refresh());
+  }
+  
+  /**
+  * Run a Vim fold key. Keys that act on the current callout fall back to
+  * Obsidian's own folding when the cursor is not in a callout; zM and zR also
+  * fold or unfold headings and lists as they did before.
+  * 
+  * @param {string} scope - Operation scope
+  * @param {string} mode - Operation mode
+  * @param {Object} options - Extra operation options
+  * @param {string|Function|null} fallback - Obsidian command, or CodeMirror command,
+  * for the editor's own folds
+  */
+  handleVimFold(scope, mode, options, fallback) {
+    const services = this.getServices();
+    if (!services) return;
+    
+    const { editor, markdownService } = services;
+    const modifyMarkdown = this.settings.vimFoldMode === 'markdown';
+    
+    if (scope === CONSTANTS.SCOPES.CURRENT) {
+      if (!markdownService.findCalloutContainingLine(editor.getCursor().line)) {
+        this.runEditorFold(editor, fallback);
+        return;
+      }
+    } else {
+      this.runEditorFold(editor, fallback);
+    }
+    
+    this.applyCalloutOperation(scope, mode, modifyMarkdown, options);
+  }
+  
+  /**
+  * Run one of the editor's own fold actions
+  * 
+  * @param {Editor} editor - The active editor
+  * @param {string|Function|null} fold - Obsidian command id, or CodeMirror command run on the editor view
+  */
+  runEditorFold(editor, fold) {
+    if (typeof fold === 'function') {
+      if (editor.cm) fold(editor.cm);
+    } else if (fold) {
+      this.app.commands.executeCommandById(fold);
+    }
+  }
+  
+  /**
+  * Move the cursor to a callout from outside the editor and focus the editor
+  * 
+  * @param {Callout} callout - The callout to go to
+  */
+  goToCallout(callout) {
+    const services = this.getServices();
+    if (!services) return;
+    
+    const { editor } = services;
+    const leaf = this.app.workspace.getLeavesOfType('markdown')
+    .find(leaf => leaf.view.editor === editor);
+    if (leaf) this.app.workspace.setActiveLeaf(leaf, { focus: true });
+    
+    const position = { line: callout.startLine, ch: 0 };
+    editor.setCursor(position);
+    editor.scrollIntoView({ from: position, to: position }, true);
+  }
+  
+  /**
+  * Collapse or expand a single callout of the active note
+  * 
+  * @param {Callout} callout - The callout, possibly from an earlier parse
+  * @param {boolean} collapsed - The new state
+  * @param {boolean} modifyMarkdown - Whether to update the Markdown
+  */
+  setCalloutCollapsed(callout, collapsed, modifyMarkdown) {
+    const services = this.getServices();
+    if (!services) return;
+    
+    const { markdownService, domService, foldService } = services;
+    
+    // The note may have changed since the callout was parsed
+    const current = markdownService.detectAllCalloutsFlattened()
+    .find(candidate => candidate.startLine === callout.startLine && candidate.type === callout.type);
+    if (!current) {
+      this.requestUiRefresh();
+      return;
+    }
+    
+    if (modifyMarkdown) {
+      const changes = this.addAccordionChanges([{ callout: current, collapsed }], markdownService, 
+        callout => callout.isCollapsed
+      );
+      markdownService.updateCalloutCollapseStates(changes);
+    } else {
+      this.recordVisualHistory(markdownService, domService, foldService);
+      const changes = this.addAccordionChanges([{ callout: current, collapsed }], markdownService, 
+        callout => foldService ? foldService.isCollapsed(callout) : domService.isCalloutCollapsed(callout)
       );
+      if (foldService) foldService.setCollapsed(changes);
+      domService.applyCollapseStates(changes);
     }
+    
+    this.requestUiRefresh();
+  }
+  
+  /**
+  * Whether accordion mode applies to a note. The note's frontmatter
+  * overrides the global setting.
+  * 
+  * @param {TFile|null} file - The note
+  * @returns {boolean} True if expanding a callout should collapse its siblings
+  */
+  isAccordionEnabled(file) {
+    const frontmatter = file ? this.app.metadataCache.getFileCache(file)?.frontmatter : null;
+    const value = frontmatter?.[CONSTANTS.ACCORDION_FRONTMATTER_KEY];
+    
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return this.settings.accordionMode;
+  }
+  
+  /**
+  * Extend a single-callout expand with collapses of the callout's siblings
+  * when accordion mode is on for the active note
+  * 
+  * @param {Array<Object>} changes - Array of { callout, collapsed }
+  * @param {CalloutMarkdownService} markdownService - Markdown service for the note
+  * @param {Function} isCollapsed - Returns whether a callout is currently collapsed
+  * @param {TFile|null} file - The note (defaults to the active file)
+  * @returns {Array<Object>} The changes, plus a collapse for every expanded sibling
+  */
+  addAccordionChanges(changes, markdownService, isCollapsed, file = this.app.workspace.getActiveFile()) {
+    if (changes.length !== 1 || changes[0].collapsed) return changes;
+    if (!this.isAccordionEnabled(file)) return changes;
+    
+    const siblings = markdownService.getAccordionSiblings(changes[0].callout)
+    .filter(sibling => !isCollapsed(sibling))
+    .map(sibling => ({ callout: sibling, collapsed: true }));
+    
+    return [...changes, ...siblings];
   }
   
   /**
-  * Register event handlers for editor changes
+  * Open the callout outline in the right sidebar, or reveal it if it is open
   */
-  registerEditorHandlers() {
-    // Listen for editor changes to update data attributes
-    this.registerEvent(
-      this.app.workspace.on('editor-change', (editor) => {
-        try {
-          this.updateDataAttributes(editor);
-        } catch (error) {
-          // Silently handle errors in event handlers
-          this.errorHandler.logError(
-            "Error updating data attributes", 
-            error
-          );
-        }
-      })
-    );
+  async activateOutlineView() {
+    const { workspace } = this.app;
+    let leaf = workspace.getLeavesOfType(CONSTANTS.OUTLINE_VIEW_TYPE)[0];
     
-    // Register document event listeners for visual mode
-    this.registerEvent(
-      this.app.workspace.on('active-leaf-change', () => {
-        try {
-          this.setupMutationObserver();
-        } catch (error) {
-          this.errorHandler.logError(
-            "Error setting up mutation observer", 
-            error
-          );
-        }
-      })
-    );
+    if (!leaf) {
+      leaf = workspace.getRightLeaf(false);
+      if (!leaf) {
+        new Notice('No sidebar available for the callout outline');
+        return;
+      }
+      await leaf.setViewState({ type: CONSTANTS.OUTLINE_VIEW_TYPE, active: true });
+    }
+    
+    workspace.revealLeaf(leaf);
   }
   
   /**
-  * Set up a mutation observer to keep DOM-Markdown correlation up to date
+  * Bring the outline views and the status bar up to date with the active note
   */
-  setupMutationObserver() {
-    // Clear any existing observer
-    if (this.mutationObserver) {
-      this.mutationObserver.disconnect();
-      this.mutationObserver = null;
+  refreshUi() {
+    this.refreshOutlineViews();
+    this.updateStatusBar();
+  }
+  
+  /**
+  * Show the number of callouts in the active note and how many are collapsed
+  */
+  updateStatusBar() {
+    if (!this.statusBarEl) return;
+    
+    const services = this.settings.showStatusBar ? this.getServices() : null;
+    const callouts = services ? services.markdownService.detectAllCalloutsFlattened() : [];
+    
+    if (!callouts.length) {
+      this.statusBarEl.style.display = 'none';
+      return;
     }
     
-    // Skip for now - just disable mutation observer until we debug the issue
-    return;
+    const { domService, foldService } = services;
+    const collapsed = callouts.filter(callout => 
+      foldService ? foldService.isCollapsed(callout) : domService.isCalloutCollapsed(callout)
+    ).length;
     
-    /* Original code commented out for debugging
-    const editor = this.app.workspace.activeEditor?.editor;
-    const root = this.app.workspace.activeEditor?.containerEl;
+    this.statusBarEl.setText(`${callouts.length} ${callouts.length === 1 ? 'callout' : 'callouts'} · ${collapsed} collapsed`);
+    this.statusBarEl.style.display = '';
+  }
+  
+  /**
+  * Open the quick-action menu of the status bar item
+  * 
+  * @param {MouseEvent} event - The click on the status bar item
+  */
+  openStatusBarMenu(event) {
+    const menu = new Menu();
+    const addAction = (title, icon, scope, mode, modifyMarkdown) => {
+      menu.addItem(item => item
+        .setTitle(title)
+        .setIcon(icon)
+        .onClick(() => this.applyCalloutOperation(scope, mode, modifyMarkdown))
+      );
+    };
     
-    if (!editor || !root) return;
+    addAction('Collapse all', 'chevrons-down-up', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, false);
+    addAction('Expand all', 'chevrons-up-down', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.EXPAND, false);
+    addAction('Flip all', 'flip-vertical', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.TOGGLE_INDIVIDUAL, false);
+    addAction('Collapse by type…', 'filter', CONSTANTS.SCOPES.TYPE, CONSTANTS.MODES.COLLAPSE, false);
+    addAction('Expand by type…', 'filter', CONSTANTS.SCOPES.TYPE, CONSTANTS.MODES.EXPAND, false);
+    menu.addSeparator();
+    addAction('Collapse all in Markdown', 'file-pen', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.COLLAPSE, true);
+    addAction('Expand all in Markdown', 'file-pen', CONSTANTS.SCOPES.ALL, CONSTANTS.MODES.EXPAND, true);
     
-    // Create a new observer
-    this.mutationObserver = new MutationObserver((mutations) => {
-      // Check if any callout-related content changed
-    const calloutMutations = mutations.some(mutation => {
-      // Check if the mutation target or its parent is a callout
-    return mutation.target.closest('.callout') !== null;
+    menu.showAtMouseEvent(event);
+  }
+  
+  /**
+  * Rebuild every open callout outline
+  */
+  refreshOutlineViews() {
+    this.app.workspace.getLeavesOfType(CONSTANTS.OUTLINE_VIEW_TYPE).forEach(leaf => {
+      if (leaf.view instanceof CalloutOutlineView) leaf.view.refresh();
     });
+  }
+  
+  /**
+  * Read the visual fold state of callouts. Rendered callouts are read from
+  * their correlated elements. Callouts without one are uncorrelated; they fall
+  * back to the editor's fold state, and have no state without an editor.
+  * 
+  * @param {Array<Callout>} callouts - Callouts to read
+  * @param {DOMCalloutService} domService - DOM service instance
+  * @param {VisualFoldService|null} foldService - Visual fold service of the editor, if any
+  * @returns {Object} { states: Array<{ callout, collapsed }>, uncorrelated: Array<Callout> }
+  */
+  readVisualStates(callouts, domService, foldService) {
+    const states = [];
+    const uncorrelated = [];
     
-    if (calloutMutations) {
-    // Update data attributes
-    this.updateDataAttributes(editor);
-    }
+    callouts.forEach(callout => {
+      const element = domService.getElementsForCallout(callout)[0];
+      if (element) {
+        states.push({ callout, collapsed: element.classList.contains('is-collapsed') });
+        return;
+      }
+      
+      uncorrelated.push(callout);
+      if (foldService) {
+        states.push({ callout, collapsed: foldService.isCollapsed(callout) });
+      }
     });
     
-    // Start observing the document
-    this.mutationObserver.observe(root, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    characterData: true
-    });
-    */
+    return { states, uncorrelated };
   }
   
   /**
-  * Clean up observers on plugin unload
+  * Write the visual fold state of the active note to its `+`/`-` markers,
+  * then drop the visual overrides since the Markdown now matches them
   */
-  onunload() {
-    // Disconnect the mutation observer
-    if (this.mutationObserver) {
-      this.mutationObserver.disconnect();
-      this.mutationObserver = null;
+  commitVisualState() {
+    const services = this.getServices();
+    if (!services) return;
+    
+    const { markdownService, domService, foldService } = services;
+    const callouts = markdownService.detectAllCalloutsFlattened();
+    if (!callouts.length) {
+      new Notice('No callouts found in the document');
+      return;
     }
     
-    // Unregister commands
-    this.commandRegistry.unregisterAllCommands();
+    const { states, uncorrelated } = this.readVisualStates(callouts, domService, foldService);
+    
+    // Only touch callouts whose marker disagrees, so unmarked expanded callouts stay unmarked
+    const changed = markdownService.updateCalloutCollapseStates(
+      states.filter(({ callout, collapsed }) => collapsed !== callout.isCollapsed)
+    );
+    
+    if (foldService) foldService.clear();
+    
+    new Notice(`Wrote ${changed} fold ${changed === 1 ? 'marker' : 'markers'} to Markdown`);
+    if (uncorrelated.length) {
+      const lines = uncorrelated.map(callout => callout.startLine + 1).join(', ');
+      const outcome = foldService ? 'were written from the visual state kept for the note' : 'were left unchanged';
+      new Notice(`Callout Control: ${uncorrelated.length} callouts could not be matched to rendered callouts and ${outcome} (lines ${lines})`);
+    }
   }
   
   /**
-  * Update data attributes on callout DOM elements
-  * 
-  * @param {Editor} editor - The editor that changed
+  * Drop all visual fold overrides of the active note so every callout shows
+  * the state of its `+`/`-` marker again
   */
-  updateDataAttributes(editor) {
-    // Get services
+  discardVisualOverrides() {
     const services = this.getServices();
     if (!services) return;
     
-    const { markdownService, domService } = services;
+    const { markdownService, domService, foldService } = services;
+    const callouts = markdownService.detectAllCalloutsFlattened();
+    if (!callouts.length) {
+      new Notice('No callouts found in the document');
+      return;
+    }
     
-    // Get all callouts in the document
-    const callouts = markdownService.detectAllCallouts();
+    // Keep the visual state for undo
+    this.recordVisualHistory(markdownService, domService, foldService);
     
-    // Add data attributes to DOM elements
-    domService.addDataAttributes(callouts);
+    if (foldService) foldService.clear();
+    domService.applyCollapseStates(callouts.map(callout => ({ callout, collapsed: callout.isCollapsed })));
   }
   
   /**
-  * Get the service instances for the current editor context
+  * Get the leaf and path the visual history of the active note is kept under
   * 
-  * @returns {Object|null} Object containing the service instances, or null
+  * @returns {Object|null} { leaf, path }, or null without an active note
   */
-  getServices() {
-    try {
-      const editor = this.app.workspace.activeEditor?.editor;
-      const root = this.app.workspace.activeEditor?.containerEl;
-      
-      if (!editor || !root) return null;
-      
-      const markdownService = new CalloutMarkdownService(editor);
-      const domService = new DOMCalloutService(root);
-      
-      return {
-        editor,
-        markdownService,
-        domService
-      };
-    } catch (error) {
-      this.errorHandler.handleError(
-        "Failed to initialize services", 
-        error,
-        "Please try again or restart Obsidian."
-      );
-      return null;
-    }
+  getHistoryTarget() {
+    const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+    if (!view || !view.file) return null;
+    return { leaf: view.leaf, path: view.file.path };
   }
   
   /**
-  * Apply a collapse/expand operation to callouts
+  * Record the visual fold state of the active note before a visual command
   * 
-  * @param {string} scope - 'all', 'current', or 'section' 
-  * @param {string} mode - 'toggle', 'collapse', 'expand', or 'toggle-individual'
-  * @param {boolean} modifyMarkdown - Whether to update the Markdown
+  * @param {CalloutMarkdownService} markdownService - Markdown service for parsing
+  * @param {DOMCalloutService} domService - DOM service instance
+  * @param {VisualFoldService|null} foldService - Visual fold service of the editor, if any
   */
-  applyCalloutOperation(scope, mode, modifyMarkdown = false) {
-    try {
-      // Get services
-      const services = this.getServices();
-      if (!services) return;
-      
-      const { 
-        editor, 
-        markdownService,
-        domService
-      } = services;
-      
-      const cursor = editor.getCursor();
-      const lines = editor.getValue().split('\n');
-      
-      // If we're modifying markdown (for "with markdown" commands)
-      if (modifyMarkdown) {
-        try {
-          this.applyMarkdownOperation(scope, mode, cursor, markdownService);
-        } catch (err) {
-          console.error("Error in markdown operation:", err);
-          new Notice("Error applying markdown operation: " + err.message);
-        }
-      } else {
-        try {
-          this.applyVisualOperation(scope, mode, cursor, lines, domService, markdownService);
-        } catch (err) {
-          console.error("Error in visual operation:", err);
-          new Notice("Error applying visual operation: " + err.message);
-        }
-      }
-    } catch (error) {
-      console.error(`Failed to apply operation (${scope}, ${mode})`, error);
-      new Notice(`Callout operation failed: ${error.message}`);
-    }
+  recordVisualHistory(markdownService, domService, foldService) {
+    const target = this.getHistoryTarget();
+    if (!target) return;
+    
+    const snapshot = this.captureVisualSnapshot(markdownService, domService, foldService);
+    this.visualFoldHistory.record(target.leaf, target.path, snapshot);
   }
   
   /**
-  * Apply operation to Markdown
+  * Undo or redo the last visual fold command in the active note
   * 
-  * @param {string} scope - Operation scope
-  * @param {string} mode - Operation mode
-  * @param {Position} cursor - Editor cursor position
-  * @param {CalloutMarkdownService} markdownService - Markdown service instance
+  * @param {string} mode - 'undo' or 'redo'
   */
-  applyMarkdownOperation(scope, mode, cursor, markdownService) {
-    // Determine which callouts to modify based on scope
-    let callouts = [];
+  stepVisualHistory(mode) {
+    const services = this.getServices();
+    const target = this.getHistoryTarget();
+    if (!services || !target) return;
     
-    switch (scope) {
-      case CONSTANTS.SCOPES.ALL:
-      callouts = markdownService.detectAllCallouts();
-      break;
-      
-      case CONSTANTS.SCOPES.CURRENT:
-      const callout = markdownService.findCalloutContainingLine(cursor.line) || 
-      markdownService.findCalloutAboveCursor(cursor.line);
-      if (callout) callouts = [callout];
-      break;
-      
-      case CONSTANTS.SCOPES.SECTION:
-      callouts = markdownService.getCalloutsInCurrentSection(cursor.line);
-      break;
+    const { markdownService, domService, foldService } = services;
+    const current = this.captureVisualSnapshot(markdownService, domService, foldService);
+    const snapshot = mode === CONSTANTS.MODES.REDO ?
+    this.visualFoldHistory.redo(target.leaf, target.path, current) :
+    this.visualFoldHistory.undo(target.leaf, target.path, current);
+    
+    if (!snapshot) {
+      new Notice(mode === CONSTANTS.MODES.REDO ? 'No callout fold change to redo' : 'No callout fold change to undo');
+      return;
     }
     
-    if (!callouts.length) return;
+    this.restoreVisualSnapshot(snapshot, markdownService, domService, foldService);
+  }
+  
+  /**
+  * Open the batch modal to fold callouts in a folder, by tag or in search results
+  * 
+  * @param {Object} defaults - Initial form values, see BatchFoldModal
+  */
+  openBatchFold(defaults = {}) {
+    const activeFile = this.app.workspace.getActiveFile();
+    const path = activeFile && activeFile.parent ? activeFile.parent.path : '';
+    
+    new BatchFoldModal(this.app, this.batchService, this.errorHandler, { path: path === '/' ? '' : path, ...defaults }).open();
+  }
+  
+  /**
+  * Let the user pick a heading of the note, then apply an operation to the
+  * callouts under it, including its subheadings
+  * 
+  * @param {string} mode - Operation mode
+  * @param {boolean} modifyMarkdown - Whether to update the Markdown
+  */
+  openHeadingPicker(mode, modifyMarkdown) {
+    const services = this.getServices();
+    if (!services) return;
     
-    // Process callouts in reverse order to maintain line numbers
-    const sortedCallouts = [...callouts].sort((a, b) => b.startLine - a.startLine);
+    const { markdownService } = services;
+    const headings = markdownService.getHeadings();
     
-    // Create operation based on mode
-    const getNewState = createCalloutOperation(mode, callouts);
+    if (!headings.length) {
+      new Notice('No headings found in the document');
+      return;
+    }
     
-    // Update each callout in the Markdown
-    sortedCallouts.forEach(callout => {
-      markdownService.updateCalloutCollapseState(callout, getNewState(callout));
+    const items = headings.map(heading => ({
+      ...heading,
+      count: markdownService.getCalloutsUnderHeading(heading.line).length
+    }));
+    
+    new HeadingSuggestModal(this.app, items, (item) => {
+      this.applyCalloutOperation(CONSTANTS.SCOPES.HEADING, mode, modifyMarkdown, { headingLine: item.line });
+    }).open();
+  }
+  
+  /**
+  * Count callouts by type
+  * 
+  * @param {Array<Callout>} callouts - The callouts to count
+  * @returns {Array<Object>} Array of { type, count }, most frequent first
+  */
+  countCalloutTypes(callouts) {
+    const counts = new Map();
+    callouts.forEach(callout => {
+      const type = callout.type.toLowerCase();
+      counts.set(type, (counts.get(type) || 0) + 1);
     });
+    
+    return Array.from(counts, ([type, count]) => ({ type, count }))
+    .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
   }
   
   /**
-  * Apply operation to DOM elements (visual only)
+  * Correlate callouts rendered in Reading view with their exact source lines.
+  * Runs as a Markdown post-processor for every rendered section.
   * 
-  * @param {string} scope - Operation scope
-  * @param {string} mode - Operation mode
-  * @param {Position} cursor - Editor cursor position
-  * @param {Array<string>} lines - Document lines
-  * @param {DOMCalloutService} domService - DOM service instance
-  * @param {CalloutMarkdownService} markdownService - Markdown service for parsing
+  * @param {HTMLElement} el - The rendered section
+  * @param {MarkdownPostProcessorContext} ctx - The post-processor context
   */
-  applyVisualOperation(scope, mode, cursor, lines, domService, markdownService) {
-    // Always get all callouts for accurate correlation
-    const allCallouts = markdownService.detectAllCallouts();
+  processPreviewCallouts(el, ctx) {
+    const elements = Array.from(el.querySelectorAll('.callout'))
+    .filter(element => !element.parentElement?.closest('.callout'));
+    if (el.matches('.callout')) elements.unshift(el);
+    if (!elements.length) return;
     
-    // Always update data attributes to ensure accurate DOM-callout correlation
-    domService.addDataAttributes(allCallouts);
+    const info = ctx.getSectionInfo(el);
+    if (!info) return;
     
-    switch (scope) {
-      case CONSTANTS.SCOPES.ALL:
-      // Get all callout elements
-      const allElements = domService.getAllCalloutElements();
-      if (!allElements.length) {
-        // Show notification if no callouts found
-        new Notice('No callouts found in the document');
-        return;
-      }
-      
-      switch (mode) {
-        case CONSTANTS.MODES.COLLAPSE:
-        domService.applyToAllCallouts(true);
-        break;
-        
-        case CONSTANTS.MODES.EXPAND:
-        domService.applyToAllCallouts(false);
-        break;
-        
-        case CONSTANTS.MODES.TOGGLE_INDIVIDUAL:
-        allElements.forEach(element => {
-          const currentState = element.classList.contains('is-collapsed');
-          domService.applyCalloutCollapseState(element, !currentState);
-        });
-        break;
-        
-        case CONSTANTS.MODES.TOGGLE:
-        default:
-        // Count current states to determine majority
-        const collapsedCount = allElements.filter(el => 
-          el.classList.contains('is-collapsed')
-        ).length;
-        
-        const shouldCollapse = collapsedCount < allElements.length / 2;
-        domService.applyToAllCallouts(shouldCollapse);
-        break;
-      }
-      break;
-      
-      case CONSTANTS.SCOPES.CURRENT:
-      // Find closest callout element with improved correlation
-      const cursorLine = cursor.line;
-      const targetElement = domService.getClosestCalloutToCursor(cursorLine, lines, allCallouts);
-      
-      if (targetElement) {
-        let newState;
-        
-        switch (mode) {
-          case CONSTANTS.MODES.COLLAPSE:
-          newState = true;
-          break;
-          
-          case CONSTANTS.MODES.EXPAND:
-          newState = false;
-          break;
-          
-          case CONSTANTS.MODES.TOGGLE:
-          case CONSTANTS.MODES.TOGGLE_INDIVIDUAL:
-          default:
-          newState = !targetElement.classList.contains('is-collapsed');
-          break;
-        }
-        
-        // Apply the new state
-        domService.applyCalloutCollapseState(targetElement, newState);
-      } else {
-        // Show notification if no callout found
-        new Notice('No callout found near cursor');
-      }
-      break;
-      
-      case CONSTANTS.SCOPES.SECTION:
-      // Find all callouts in section with improved correlation
-      const matchingElements = domService.getCalloutsInCurrentSection(
-        cursor.line, 
-        lines,
-        allCallouts
-      );
-      
-      if (!matchingElements.length) {
-        new Notice('No callouts found in current section');
-        return;
-      }
-      
-      switch (mode) {
-        case CONSTANTS.MODES.COLLAPSE:
-        matchingElements.forEach(element => 
-          domService.applyCalloutCollapseState(element, true)
-        );
-        break;
-        
-        case CONSTANTS.MODES.EXPAND:
-        matchingElements.forEach(element => 
-          domService.applyCalloutCollapseState(element, false)
-        );
-        break;
-        
-        case CONSTANTS.MODES.TOGGLE_INDIVIDUAL:
-        matchingElements.forEach(element => {
-          const currentState = element.classList.contains('is-collapsed');
-          domService.applyCalloutCollapseState(element, !currentState);
-        });
-        break;
-        
-        case CONSTANTS.MODES.TOGGLE:
-        default:
-        // Count current collapse states
-        const collapsedCount = matchingElements.filter(
-          element => element.classList.contains('is-collapsed')
-        ).length;
-        
-        // Toggle based on majority
-        const shouldCollapse = collapsedCount < matchingElements.length / 2;
-        
-        // Apply to all elements
-        matchingElements.forEach(element => 
-          domService.applyCalloutCollapseState(element, shouldCollapse)
-        );
-        break;
-      }
-      break;
+    // Sections of one render share the same text, so split it only once
+    if (this.previewSource?.text !== info.text) {
+      this.previewSource = { text: info.text, lines: info.text.split('\n') };
     }
+    
+    const parser = this.calloutIndex.parser;
+    const callouts = parser.parseRange(this.previewSource.lines, info.lineStart, info.lineEnd);
+    const domService = new DOMCalloutService(el);
+    const pairs = domService.pairElements(elements, callouts);
+    
+    pairs.forEach(({ element, callout }) => domService.setCalloutAttributes(element, callout));
+    
+    // Show visual overrides kept by the note's editor
+    const view = this.app.workspace.getLeavesOfType('markdown')
+    .map(leaf => leaf.view)
+    .find(view => view.file?.path === ctx.sourcePath && view.editor?.cm);
+    if (!view) return;
+    
+    const foldService = new VisualFoldService(view.editor.cm);
+    foldService.getOverrides(pairs.map(pair => pair.callout)).forEach(({ callout, collapsed }) => {
+      pairs
+      .filter(pair => pair.callout === callout)
+      .forEach(pair => domService.applyCalloutCollapseState(pair.element, collapsed));
+    });
   }
 };
\ No newline at end of file